@@ -31,6 +31,22 @@ export default [
       ],
     },
   },
+  // Code shared by the frontend and the backend
+  {
+    files: ['shared/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      globals: { ...globals.browser, ...globals.node },
+      parserOptions: {
+        ecmaVersion: 'latest',
+        sourceType: 'module',
+      },
+    },
+    rules: {
+      ...js.configs.recommended.rules,
+      'no-unused-vars': ['error', { argsIgnorePattern: '^_' }],
+    },
+  },
   // Backend configuration
   {
     files: ['server/**/*.js'],
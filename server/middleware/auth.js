@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+
+/**
+ * Educator access
+ *
+ * Solutions and puzzle editing are for educators, who send the token set as
+ * EDUCATOR_TOKEN with `Authorization: Bearer <token>`. When EDUCATOR_TOKEN is
+ * not set, nobody has educator access.
+ */
+
+const getBearerToken = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Hashing gives both tokens the same length, as timingSafeEqual needs
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+export const isEducator = (req) => {
+  const expected = process.env.EDUCATOR_TOKEN;
+  const token = getBearerToken(req);
+  return Boolean(expected && token) && crypto.timingSafeEqual(digest(token), digest(expected));
+};
+
+// Rejects requests without the educator token
+export const requireEducator = (req, res, next) => {
+  if (!isEducator(req)) {
+    return res.status(401).json({ error: 'Educator access required' });
+  }
+  next();
+};
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+// A graded exam submission
+const submissionSchema = new mongoose.Schema({
+  score: {
+    type: Number,
+    required: true
+  },
+  isCorrect: {
+    type: Boolean,
+    required: true
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// What the latest grading of an attempt means for the student's progress
+// (see getAttemptOutcome in shared/attempts.js)
+const outcomeSchema = new mongoose.Schema({
+  score: Number,
+  isCorrect: Boolean,
+  hintsUsed: Number,
+  timeTakenSeconds: Number
+}, { _id: false });
+
+// Hints and solution reveals of a student's attempt at a puzzle, kept by the
+// server so grading doesn't take them from the client (see shared/attempts.js)
+const attemptSchema = new mongoose.Schema({
+  // Random ID the client sends with each request of the attempt
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  puzzleId: {
+    type: String,
+    required: true
+  },
+  // Student ID from the browser, which finds their exam attempt again
+  studentId: {
+    type: String
+  },
+  mode: {
+    type: String,
+    enum: ['practice', 'timed', 'exam'],
+    default: 'practice'
+  },
+  hintsUsed: {
+    type: Number,
+    default: 0
+  },
+  // The hint whose tiers are being revealed, and how many of them are
+  hintKey: {
+    type: String,
+    default: null
+  },
+  hintLevel: {
+    type: Number,
+    default: 0
+  },
+  solutionRevealed: {
+    type: Boolean,
+    default: false
+  },
+  // Exam submissions so far, which count against the puzzle's maxAttempts
+  submissions: {
+    type: [submissionSchema],
+    default: []
+  },
+  // Progress takes the attempt's outcome once, or each exam submission once,
+  // rather than scores the client reports
+  lastOutcome: {
+    type: outcomeSchema,
+    default: null
+  },
+  recorded: {
+    type: Boolean,
+    default: false
+  },
+  recordedSubmissions: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Practice and timed attempts are forgotten a day after they start. Exam
+  // attempts are kept, so starting over doesn't give back submissions.
+  expiresAt: {
+    type: Date,
+    expires: 0
+  }
+});
+
+attemptSchema.index({ puzzleId: 1, studentId: 1, mode: 1 });
+
+const Attempt = mongoose.model('Attempt', attemptSchema);
+
+export default Attempt;
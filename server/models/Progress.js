@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+// One finished attempt at a puzzle
+const attemptSchema = new mongoose.Schema({
+  score: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  isCorrect: {
+    type: Boolean
+  },
+  hintsUsed: {
+    type: Number,
+    min: 0
+  },
+  timeSpentSeconds: {
+    type: Number,
+    min: 0
+  },
+  mode: {
+    type: String,
+    enum: ['practice', 'exam', 'timed']
+  },
+  submittedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// When a solved puzzle comes back for review (see shared/review.js)
+const reviewSchema = new mongoose.Schema({
+  easiness: {
+    type: Number,
+    min: 1.3
+  },
+  repetitions: {
+    type: Number,
+    min: 0
+  },
+  intervalDays: {
+    type: Number,
+    min: 0
+  },
+  dueAt: {
+    type: Date
+  },
+  lastReviewedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// A student's progress on one puzzle (see shared/progress.js)
+const progressSchema = new mongoose.Schema({
+  // Random ID the browser generates for the student
+  studentId: {
+    type: String,
+    required: true
+  },
+  puzzleId: {
+    type: String,
+    required: true
+  },
+  solved: {
+    type: Boolean,
+    default: false
+  },
+  bestScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  hintsUsed: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  timeSpentSeconds: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  // Most recent attempts, oldest first
+  history: [attemptSchema],
+  review: {
+    type: reviewSchema,
+    default: null
+  }
+});
+
+// Record as the client sees it, without database fields
+progressSchema.methods.toRecord = function() {
+  const record = this.toObject({ versionKey: false });
+  delete record._id;
+  delete record.studentId;
+  return record;
+};
+
+progressSchema.index({ studentId: 1, puzzleId: 1 }, { unique: true });
+
+const Progress = mongoose.model('Progress', progressSchema);
+
+export default Progress;
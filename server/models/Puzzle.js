@@ -1,4 +1,18 @@
 import mongoose from 'mongoose';
+import { getJustificationPool, isTwoColumnPuzzle } from '../../shared/justifications.js';
+import { maskBlockIds } from '../utils/blockIds.js';
+
+// Feedback shown when a block is placed before another block
+const misconceptionSchema = new mongoose.Schema({
+  before: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
 
 const blockSchema = new mongoose.Schema({
   id: {
@@ -8,6 +22,43 @@ const blockSchema = new mongoose.Schema({
   latex: {
     type: String,
     required: true
+  },
+  // Block IDs this step depends on; when omitted the step depends on the
+  // step before it in solutionOrder
+  dependsOn: {
+    type: [String],
+    default: undefined
+  },
+  // Distractors are plausible steps that must be left out of the proof
+  distractor: {
+    type: Boolean
+  },
+  // Why a distractor is wrong, shown to students who use it
+  explanation: {
+    type: String
+  },
+  // Targeted feedback for wrong orders involving this block
+  misconceptions: {
+    type: [misconceptionSchema],
+    default: undefined
+  },
+  // Placeholder key (e.g. 'op_1') -> accepted value or array of values
+  expectedSelections: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Expected indentation level in nested proofs (0 = top level)
+  depth: {
+    type: Number,
+    min: 0,
+    max: 3
+  },
+  // Given steps are placed in the workspace for the student and not scored
+  given: {
+    type: Boolean
+  },
+  // Reason this step holds in a two-column proof, or an array of accepted reasons
+  justification: {
+    type: mongoose.Schema.Types.Mixed
   }
 });
 
@@ -46,6 +97,56 @@ const puzzleSchema = new mongoose.Schema({
     type: String,
     required: true
   }],
+  // How partial credit for the order is computed (see scoringStrategies.js)
+  scoringStrategy: {
+    type: String,
+    enum: ['positional', 'lcs', 'kendall-tau'],
+    default: 'positional'
+  },
+  // Hints a student may reveal, and the points each one costs
+  hintBudget: {
+    type: Number,
+    min: 0
+  },
+  hintCost: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Further reasons offered in a two-column proof, beside the blocks' own
+  justificationPool: {
+    type: [String],
+    default: undefined
+  },
+  // Place one fewer given step each time a student starts over
+  fadeGivens: {
+    type: Boolean
+  },
+  // Submissions allowed in exam mode
+  maxAttempts: {
+    type: Number,
+    min: 1
+  },
+  // Countdown in timed mode (see shared/timing.js)
+  timeLimitSeconds: {
+    type: Number,
+    min: 1
+  },
+  // Runs of consecutive steps that may be placed in any order
+  interchangeableGroups: {
+    type: [[String]],
+    default: undefined
+  },
+  // Pairs of a proof step and a near-identical distractor; students use one
+  pairedDistractors: {
+    type: [[String]],
+    default: undefined
+  },
+  // Further complete block orders that are also accepted as correct
+  alternativeSolutions: {
+    type: [[String]],
+    default: undefined
+  },
   tags: [{
     type: String
   }],
@@ -71,6 +172,70 @@ puzzleSchema.pre('save', function(next) {
   next();
 });
 
+// Fields that give away the answer. They are left out of puzzles sent to
+// students, whose attempts are graded by POST /api/puzzles/:id/validate
+const SOLUTION_FIELDS = ['solutionOrder', 'alternativeSolutions', 'interchangeableGroups'];
+const SOLUTION_BLOCK_FIELDS = ['dependsOn', 'distractor', 'explanation', 'expectedSelections', 'depth', 'misconceptions', 'justification'];
+
+// Shuffles blocks the same way every time for a given seed. Puzzles are
+// stored with their proof steps in solution order and the distractors last.
+const shuffleBlocks = (blocks, seed) => {
+  // FNV-1a hash of the seed, then a mulberry32 generator
+  let state = [...seed].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+  const random = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const shuffled = [...blocks];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Student-facing copy of the puzzle without its solution, under opaque block
+// IDs (see utils/blockIds.js)
+puzzleSchema.methods.toStudentJSON = function() {
+  const puzzle = maskBlockIds(this.toObject({ versionKey: false }));
+  const { solutionOrder } = puzzle;
+
+  SOLUTION_FIELDS.forEach(field => delete puzzle[field]);
+  puzzle.isNested = puzzle.blocks.some(block => block.depth > 0);
+
+  // Students pick each step's reason from the merged pool
+  puzzle.isTwoColumn = isTwoColumnPuzzle(puzzle);
+  if (puzzle.isTwoColumn) {
+    puzzle.justificationPool = getJustificationPool(puzzle);
+  }
+  // The step would come first in pairs added by hand, so students get the
+  // twins sorted by their opaque IDs
+  if (puzzle.pairedDistractors) {
+    puzzle.pairedDistractors = puzzle.pairedDistractors.map(pair => [...pair].sort());
+  }
+
+  // Givens are placed in order, but not at their slots, which would tell how
+  // many steps come before each one (see givens.js)
+  const givenOrder = solutionOrder.filter(id => puzzle.blocks.some(block => block.given && block.id === id));
+
+  puzzle.blocks = shuffleBlocks(puzzle.blocks, puzzle.id).map(block => {
+    const studentBlock = { ...block };
+    SOLUTION_BLOCK_FIELDS.forEach(field => delete studentBlock[field]);
+
+    // Given steps are shown indented, so their depth isn't secret
+    if (block.given) {
+      studentBlock.givenOrder = givenOrder.indexOf(block.id);
+      studentBlock.depth = block.depth;
+    }
+    return studentBlock;
+  });
+
+  return puzzle;
+};
+
 // Create indexes for better performance
 puzzleSchema.index({ category: 1, difficulty: 1 });
 puzzleSchema.index({ tags: 1 });
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// A student's unfinished attempt at one puzzle (see shared/workspace.js)
+const workspaceSchema = new mongoose.Schema({
+  // Random ID the browser generates for the student
+  studentId: {
+    type: String,
+    required: true
+  },
+  puzzleId: {
+    type: String,
+    required: true
+  },
+  // Block IDs of the available steps and of the proof, in order
+  palette: [String],
+  workspace: [String],
+  // Maps of block ID -> placeholder choices, depth and justification
+  selections: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  indents: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  justifications: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  savedAt: {
+    type: Date,
+    required: true
+  }
+}, { minimize: false });
+
+// Workspace as the client sees it, without database fields
+workspaceSchema.methods.toRecord = function() {
+  const record = this.toObject({ versionKey: false });
+  delete record._id;
+  delete record.studentId;
+  delete record.puzzleId;
+  return record;
+};
+
+workspaceSchema.index({ studentId: 1, puzzleId: 1 }, { unique: true });
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+export default Workspace;
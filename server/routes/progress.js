@@ -0,0 +1,122 @@
+import express from 'express';
+import Progress from '../models/Progress.js';
+import Attempt from '../models/Attempt.js';
+import { applyAttempt, createProgressRecord } from '../../shared/progress.js';
+
+const router = express.Router();
+
+// Student IDs are random IDs generated by the browser
+const STUDENT_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// Most attempts accepted in one request, e.g. when syncing offline attempts
+const MAX_ATTEMPTS_PER_REQUEST = 100;
+
+const toProgressMap = (records) => {
+  return Object.fromEntries(records.map(record => [record.puzzleId, record.toRecord()]));
+};
+
+// Takes the outcome of a student's graded attempt that progress hasn't got
+// yet: the attempt's latest grade, or its next exam submission. Attempts are
+// only started at known puzzles, so this also rejects unknown puzzle IDs.
+const takeOutcome = async (studentId, puzzleId, attemptId) => {
+  if (typeof attemptId !== 'string') return null;
+
+  const attempt = await Attempt.findOne({ id: attemptId, puzzleId, studentId });
+  if (!attempt) return null;
+
+  if (attempt.mode === 'exam') {
+    const recorded = attempt.recordedSubmissions;
+    const submission = attempt.submissions[recorded];
+    if (!submission) return null;
+
+    const { modifiedCount } = await Attempt.updateOne(
+      { _id: attempt._id, recordedSubmissions: recorded },
+      { $inc: { recordedSubmissions: 1 } }
+    );
+    return modifiedCount > 0
+      ? { score: submission.score, isCorrect: submission.isCorrect, hintsUsed: 0, mode: attempt.mode }
+      : null;
+  }
+
+  const taken = await Attempt.findOneAndUpdate(
+    { _id: attempt._id, recorded: false, lastOutcome: { $ne: null } },
+    { recorded: true }
+  );
+  return taken && { ...taken.lastOutcome.toObject(), mode: attempt.mode };
+};
+
+router.param('studentId', (req, res, next, studentId) => {
+  if (!STUDENT_ID_PATTERN.test(studentId)) {
+    return res.status(400).json({ error: 'Invalid student ID' });
+  }
+  next();
+});
+
+// GET /api/progress/:studentId - Get a student's progress on every puzzle
+router.get('/:studentId', async (req, res) => {
+  try {
+    const records = await Progress.find({ studentId: req.params.studentId });
+    res.json({ progress: toProgressMap(records) });
+  } catch (error) {
+    console.error('Error fetching progress:', error);
+    res.status(500).json({ error: 'Failed to fetch progress' });
+  }
+});
+
+// POST /api/progress/:studentId/attempts - Record finished attempts. The
+// score, correctness and hints come from the server's grading of each
+// attempt; attempts it didn't grade, or already recorded, are rejected.
+router.post('/:studentId/attempts', async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { attempts } = req.body;
+
+    if (!Array.isArray(attempts) || attempts.length > MAX_ATTEMPTS_PER_REQUEST ||
+        !attempts.every(attempt => attempt && typeof attempt.puzzleId === 'string' && attempt.puzzleId)) {
+      return res.status(400).json({ error: `attempts must be an array of up to ${MAX_ATTEMPTS_PER_REQUEST} attempts with a puzzleId` });
+    }
+
+    // Attempts are applied in order, so several at one puzzle add up
+    const rejected = [];
+    for (const { puzzleId, attemptId, timeSpentSeconds, submittedAt } of attempts) {
+      const outcome = await takeOutcome(studentId, puzzleId, attemptId);
+      if (!outcome) {
+        rejected.push({ puzzleId, attemptId: attemptId ?? null });
+        continue;
+      }
+
+      const existing = await Progress.findOne({ studentId, puzzleId });
+      const record = applyAttempt(existing ? existing.toRecord() : createProgressRecord(puzzleId), {
+        ...outcome,
+        // Timed attempts take the time the server measured
+        timeSpentSeconds: outcome.timeTakenSeconds ?? timeSpentSeconds,
+        submittedAt
+      });
+
+      await Progress.findOneAndUpdate(
+        { studentId, puzzleId },
+        { ...record, studentId },
+        { upsert: true, runValidators: true }
+      );
+    }
+
+    const records = await Progress.find({ studentId });
+    res.json({ progress: toProgressMap(records), rejected });
+  } catch (error) {
+    console.error('Error recording attempts:', error);
+    res.status(500).json({ error: 'Failed to record attempts' });
+  }
+});
+
+// DELETE /api/progress/:studentId - Start a student's progress over
+router.delete('/:studentId', async (req, res) => {
+  try {
+    await Progress.deleteMany({ studentId: req.params.studentId });
+    res.json({ progress: {} });
+  } catch (error) {
+    console.error('Error resetting progress:', error);
+    res.status(500).json({ error: 'Failed to reset progress' });
+  }
+});
+
+export default router;
@@ -1,8 +1,94 @@
+import crypto from 'crypto';
 import express from 'express';
 import Puzzle from '../models/Puzzle.js';
+import Attempt from '../models/Attempt.js';
+import { requireEducator } from '../middleware/auth.js';
+import { maskBlockIds } from '../utils/blockIds.js';
+import ProofValidator from '../../shared/ProofValidator.js';
+import {
+  canSubmitExam,
+  getAttemptOutcome,
+  getExamSubmissions,
+  getRevealedSolution,
+  gradeAttempt,
+  revealNextHint,
+  submitExam,
+  toStudentResult
+} from '../../shared/attempts.js';
 
 const router = express.Router();
 
+const ATTEMPT_MODES = ['practice', 'timed', 'exam'];
+const STUDENT_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const ATTEMPT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// typeof is 'object' for null and arrays too, which the validator can't read
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+// Puzzles are sent without their solutions unless the educator tools ask for
+// them with ?includeSolutions=true
+const toResponse = (puzzle, req) => {
+  return req.query.includeSolutions === 'true' ? puzzle : puzzle.toStudentJSON();
+};
+
+// Only educators get puzzles with their solutions
+router.use((req, res, next) => {
+  if (req.query.includeSolutions === 'true') {
+    return requireEducator(req, res, next);
+  }
+  next();
+});
+
+const findActivePuzzle = (id) => Puzzle.findOne({ id, isActive: true }).lean();
+
+// Students' attempts are graded under the block IDs they were sent
+const findStudentPuzzle = async (id) => {
+  const puzzle = await findActivePuzzle(id);
+  return puzzle && maskBlockIds(puzzle);
+};
+
+// Finds an attempt at the puzzle in the URL, or answers 404
+const findAttempt = async (req, res) => {
+  const attempt = await Attempt.findOne({ id: req.params.attemptId, puzzleId: req.params.id });
+  if (!attempt) {
+    res.status(404).json({ error: 'Attempt not found' });
+  }
+  return attempt;
+};
+
+// Exam attempts get a grade and nothing else, or answers 403
+const refuseInExam = (attempt, res) => {
+  if (attempt.mode === 'exam') {
+    res.status(403).json({ error: 'Hints and the solution are not available in exam mode' });
+    return true;
+  }
+  return false;
+};
+
+// Reads the student's proof from a request body, or answers 400
+const readProof = (req, res) => {
+  const { order, selections = {}, indents = {}, justifications = {}, givens } = req.body;
+
+  if (!Array.isArray(order) || !order.every(blockId => typeof blockId === 'string')) {
+    res.status(400).json({ error: 'order must be an array of block IDs' });
+    return null;
+  }
+
+  if (![selections, indents, justifications].every(isPlainObject)) {
+    res.status(400).json({ error: 'selections, indents and justifications must be objects' });
+    return null;
+  }
+
+  if (givens !== undefined && !Array.isArray(givens)) {
+    res.status(400).json({ error: 'givens must be an array of block IDs' });
+    return null;
+  }
+
+  return { order, selections, indents, justifications, givens };
+};
+
 // GET /api/puzzles - Get all puzzles with optional filtering
 router.get('/', async (req, res) => {
   try {
@@ -24,10 +110,13 @@ router.get('/', async (req, res) => {
     }
     
     if (search) {
+      // Search for the text as typed, not as a pattern
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
       filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { displayTitle: { $regex: search, $options: 'i' } },
-        { statement: { $regex: search, $options: 'i' } }
+        { title: { $regex: pattern, $options: 'i' } },
+        { displayTitle: { $regex: pattern, $options: 'i' } },
+        { statement: { $regex: pattern, $options: 'i' } },
+        { tags: { $regex: pattern, $options: 'i' } }
       ];
     }
     
@@ -40,7 +129,7 @@ router.get('/', async (req, res) => {
     const total = await Puzzle.countDocuments(filter);
     
     res.json({
-      puzzles,
+      puzzles: puzzles.map(puzzle => toResponse(puzzle, req)),
       pagination: {
         total,
         limit: parseInt(limit),
@@ -66,13 +155,187 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Puzzle not found' });
     }
     
-    res.json(puzzle);
+    res.json(toResponse(puzzle, req));
   } catch (error) {
     console.error('Error fetching puzzle:', error);
     res.status(500).json({ error: 'Failed to fetch puzzle' });
   }
 });
 
+// GET /api/puzzles/:id/solution - Get a puzzle's solution, for educators
+router.get('/:id/solution', requireEducator, async (req, res) => {
+  try {
+    const puzzle = await findActivePuzzle(req.params.id);
+    
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+    
+    res.json(getRevealedSolution(puzzle));
+  } catch (error) {
+    console.error('Error fetching solution:', error);
+    res.status(500).json({ error: 'Failed to fetch solution' });
+  }
+});
+
+// POST /api/puzzles/:id/attempts - Start an attempt, which keeps count of
+// the hints used and whether the solution was revealed. A student has one
+// exam attempt per puzzle, which is returned with its submissions.
+router.post('/:id/attempts', async (req, res) => {
+  try {
+    const { studentId, mode = 'practice' } = req.body;
+    
+    if (!ATTEMPT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of ${ATTEMPT_MODES.join(', ')}` });
+    }
+    
+    if (studentId !== undefined && (typeof studentId !== 'string' || !STUDENT_ID_PATTERN.test(studentId))) {
+      return res.status(400).json({ error: 'Invalid student ID' });
+    }
+    
+    if (mode === 'exam' && !studentId) {
+      return res.status(400).json({ error: 'studentId is required in exam mode' });
+    }
+    
+    const puzzle = await findActivePuzzle(req.params.id);
+    
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+    
+    if (mode === 'exam') {
+      const exam = await Attempt.findOne({ puzzleId: puzzle.id, studentId, mode });
+      if (exam) {
+        return res.json({ attemptId: exam.id, submissions: getExamSubmissions(exam, new ProofValidator(puzzle).maxAttempts) });
+      }
+    }
+    
+    const attempt = await Attempt.create({
+      id: crypto.randomUUID(),
+      puzzleId: puzzle.id,
+      studentId,
+      mode,
+      expiresAt: mode === 'exam' ? undefined : new Date(Date.now() + ATTEMPT_TTL_MS)
+    });
+    
+    res.status(201).json({ attemptId: attempt.id, submissions: [] });
+  } catch (error) {
+    console.error('Error starting attempt:', error);
+    res.status(500).json({ error: 'Failed to start attempt' });
+  }
+});
+
+// POST /api/puzzles/:id/attempts/:attemptId/hints - Reveal the next tier of
+// the hint for the proof in the body, and grade it with the hint counted
+router.post('/:id/attempts/:attemptId/hints', async (req, res) => {
+  try {
+    const proof = readProof(req, res);
+    if (!proof) return;
+    
+    const puzzle = await findStudentPuzzle(req.params.id);
+    
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+    
+    const attempt = await findAttempt(req, res);
+    if (!attempt || refuseInExam(attempt, res)) return;
+    
+    const { order, ...rest } = proof;
+    const validator = new ProofValidator(puzzle);
+    revealNextHint(attempt, gradeAttempt(validator, order, rest, attempt), validator.hintBudget);
+    const result = gradeAttempt(validator, order, rest, attempt);
+    attempt.lastOutcome = getAttemptOutcome(result);
+    await attempt.save();
+    
+    res.json(toStudentResult(result, attempt));
+  } catch (error) {
+    console.error('Error revealing hint:', error);
+    res.status(500).json({ error: 'Failed to reveal hint' });
+  }
+});
+
+// POST /api/puzzles/:id/attempts/:attemptId/solution - Reveal the solution,
+// which sets the score of the attempt to 0
+router.post('/:id/attempts/:attemptId/solution', async (req, res) => {
+  try {
+    const puzzle = await findStudentPuzzle(req.params.id);
+    
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+    
+    const attempt = await findAttempt(req, res);
+    if (!attempt || refuseInExam(attempt, res)) return;
+    
+    attempt.solutionRevealed = true;
+    attempt.lastOutcome = { score: 0, isCorrect: false, hintsUsed: attempt.hintsUsed };
+    await attempt.save();
+    
+    res.json(getRevealedSolution(puzzle));
+  } catch (error) {
+    console.error('Error revealing solution:', error);
+    res.status(500).json({ error: 'Failed to reveal solution' });
+  }
+});
+
+// POST /api/puzzles/:id/validate - Grade a student's attempt. Each call in
+// an exam attempt is a submission, up to the puzzle's maxAttempts.
+router.post('/:id/validate', async (req, res) => {
+  try {
+    const { attemptId } = req.body;
+    
+    const proof = readProof(req, res);
+    if (!proof) return;
+    
+    if (typeof attemptId !== 'string') {
+      return res.status(400).json({ error: 'attemptId must be the ID of a started attempt' });
+    }
+    
+    const puzzle = await findStudentPuzzle(req.params.id);
+    
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+    
+    const attempt = await Attempt.findOne({ id: attemptId, puzzleId: puzzle.id });
+    
+    if (!attempt) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+    
+    const { order, ...rest } = proof;
+    const validator = new ProofValidator(puzzle);
+    
+    if (attempt.mode === 'exam') {
+      if (!canSubmitExam(attempt, validator.maxAttempts)) {
+        return res.status(409).json({ error: 'No attempts left' });
+      }
+      
+      // Two submissions at once can't both take the last attempt
+      const submitted = attempt.submissions.length;
+      const result = submitExam(validator, order, rest, attempt);
+      const { modifiedCount } = await Attempt.updateOne(
+        { _id: attempt._id, submissions: { $size: submitted } },
+        { $push: { submissions: attempt.submissions[submitted].toObject() } }
+      );
+      
+      if (modifiedCount === 0) {
+        return res.status(409).json({ error: 'Another submission was made at the same time' });
+      }
+      return res.json(result);
+    }
+    
+    const result = gradeAttempt(validator, order, rest, attempt);
+    await Attempt.updateOne({ _id: attempt._id }, { lastOutcome: getAttemptOutcome(result) });
+    
+    res.json(toStudentResult(result, attempt));
+  } catch (error) {
+    console.error('Error validating proof:', error);
+    res.status(500).json({ error: 'Failed to validate proof' });
+  }
+});
+
 // GET /api/puzzles/category/:category - Get puzzles by category
 router.get('/category/:category', async (req, res) => {
   try {
@@ -94,7 +357,7 @@ router.get('/category/:category', async (req, res) => {
     const total = await Puzzle.countDocuments(filter);
     
     res.json({
-      puzzles,
+      puzzles: puzzles.map(puzzle => toResponse(puzzle, req)),
       category,
       pagination: {
         total,
@@ -110,7 +373,7 @@ router.get('/category/:category', async (req, res) => {
 });
 
 // POST /api/puzzles - Create a new puzzle
-router.post('/', async (req, res) => {
+router.post('/', requireEducator, async (req, res) => {
   try {
     const puzzleData = req.body;
     
@@ -145,7 +408,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/puzzles/:id - Update a puzzle
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireEducator, async (req, res) => {
   try {
     const puzzle = await Puzzle.findOneAndUpdate(
       { id: req.params.id },
@@ -171,7 +434,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/puzzles/:id - Soft delete a puzzle
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireEducator, async (req, res) => {
   try {
     const puzzle = await Puzzle.findOneAndUpdate(
       { id: req.params.id },
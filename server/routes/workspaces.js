@@ -0,0 +1,70 @@
+import express from 'express';
+import Workspace from '../models/Workspace.js';
+import { normalizeWorkspace } from '../../shared/workspace.js';
+
+const router = express.Router();
+
+// Student IDs are random IDs generated by the browser
+const STUDENT_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+router.param('studentId', (req, res, next, studentId) => {
+  if (!STUDENT_ID_PATTERN.test(studentId)) {
+    return res.status(400).json({ error: 'Invalid student ID' });
+  }
+  next();
+});
+
+// GET /api/workspaces/:studentId/:puzzleId - Get the saved workspace of an unfinished attempt
+router.get('/:studentId/:puzzleId', async (req, res) => {
+  try {
+    const { studentId, puzzleId } = req.params;
+    const saved = await Workspace.findOne({ studentId, puzzleId });
+    res.json({ workspace: saved ? saved.toRecord() : null });
+  } catch (error) {
+    console.error('Error fetching workspace:', error);
+    res.status(500).json({ error: 'Failed to fetch workspace' });
+  }
+});
+
+// PUT /api/workspaces/:studentId/:puzzleId - Save a workspace; the most recently saved one wins
+router.put('/:studentId/:puzzleId', async (req, res) => {
+  try {
+    const { studentId, puzzleId } = req.params;
+
+    if (!req.body?.workspace || typeof req.body.workspace !== 'object') {
+      return res.status(400).json({ error: 'workspace must be an object' });
+    }
+
+    const workspace = normalizeWorkspace(req.body.workspace);
+
+    // A copy saved later, e.g. on another device, isn't overwritten
+    const existing = await Workspace.findOne({ studentId, puzzleId });
+    if (existing && existing.savedAt > new Date(workspace.savedAt)) {
+      return res.json({ workspace: existing.toRecord() });
+    }
+
+    const saved = await Workspace.findOneAndUpdate(
+      { studentId, puzzleId },
+      { ...workspace, studentId, puzzleId },
+      { upsert: true, new: true, runValidators: true }
+    );
+    res.json({ workspace: saved.toRecord() });
+  } catch (error) {
+    console.error('Error saving workspace:', error);
+    res.status(500).json({ error: 'Failed to save workspace' });
+  }
+});
+
+// DELETE /api/workspaces/:studentId/:puzzleId - Discard a saved workspace
+router.delete('/:studentId/:puzzleId', async (req, res) => {
+  try {
+    const { studentId, puzzleId } = req.params;
+    await Workspace.deleteOne({ studentId, puzzleId });
+    res.json({ workspace: null });
+  } catch (error) {
+    console.error('Error discarding workspace:', error);
+    res.status(500).json({ error: 'Failed to discard workspace' });
+  }
+});
+
+export default router;
@@ -5,6 +5,8 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import puzzleRoutes from './routes/puzzles.js';
+import progressRoutes from './routes/progress.js';
+import workspaceRoutes from './routes/workspaces.js';
 
 // Load environment variables
 dotenv.config();
@@ -17,13 +19,25 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/parson
 app.use(helmet());
 
 // Rate limiting
+const isGradingRequest = (req) => req.method === 'POST' && /^\/api\/puzzles\/[^/]+\/validate$/.test(req.path);
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  skip: isGradingRequest
 });
 app.use(limiter);
 
+// Proofs are re-graded as students move blocks, so grading gets its own allowance
+const gradingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000, // Limit each IP to 1000 grading requests per windowMs
+  message: 'Too many grading requests from this IP, please try again later.',
+  skip: (req) => !isGradingRequest(req)
+});
+app.use(gradingLimiter);
+
 // Middleware
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
@@ -42,6 +56,8 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Routes
 app.use('/api/puzzles', puzzleRoutes);
+app.use('/api/progress', progressRoutes);
+app.use('/api/workspaces', workspaceRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
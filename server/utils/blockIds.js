@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+
+/**
+ * Opaque block IDs for students
+ *
+ * Stored block IDs often tell the answer (`step-3`, `block3-6-twin`), so
+ * students get each block under an HMAC of the puzzle and block IDs instead.
+ * The key is BLOCK_ID_SECRET; when it is not set a random key is made at
+ * startup, and IDs in students' saved workspaces stop matching on restart.
+ */
+
+let secret = null;
+
+// Read lazily, as .env is loaded after the imports
+const getSecret = () => {
+  if (!secret) {
+    secret = process.env.BLOCK_ID_SECRET;
+    if (!secret) {
+      console.warn('BLOCK_ID_SECRET is not set: block IDs sent to students change when the server restarts');
+      secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+  return secret;
+};
+
+export const maskBlockId = (puzzleId, blockId) => {
+  const digest = crypto.createHmac('sha256', getSecret()).update(`${puzzleId}:${blockId}`).digest('hex');
+  return `block-${digest.slice(0, 16)}`;
+};
+
+/**
+ * Copies a puzzle with every block ID replaced by its opaque ID, so it can be
+ * sent to students and their attempts graded against it
+ * @param {Object} puzzle - Plain puzzle object
+ * @returns {Object} Copy of the puzzle with opaque block IDs
+ */
+export const maskBlockIds = (puzzle) => {
+  const mask = (blockId) => maskBlockId(puzzle.id, blockId);
+  const maskAll = (blockIds) => blockIds?.map(mask);
+  const maskEach = (lists) => lists?.map(maskAll);
+
+  const masked = {
+    ...puzzle,
+    blocks: puzzle.blocks.map(block => {
+      const maskedBlock = { ...block, id: mask(block.id) };
+      // Subdocument _ids are made in stored order, which would give it away
+      delete maskedBlock._id;
+      if (block.dependsOn) maskedBlock.dependsOn = maskAll(block.dependsOn);
+      if (block.misconceptions) {
+        maskedBlock.misconceptions = block.misconceptions.map(misconception => ({
+          ...misconception,
+          before: mask(misconception.before)
+        }));
+      }
+      return maskedBlock;
+    }),
+    solutionOrder: maskAll(puzzle.solutionOrder)
+  };
+
+  ['alternativeSolutions', 'interchangeableGroups', 'pairedDistractors'].forEach(field => {
+    if (puzzle[field]) masked[field] = maskEach(puzzle[field]);
+  });
+
+  return masked;
+};
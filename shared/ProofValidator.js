@@ -0,0 +1,1177 @@
+/**
+ * ProofValidator - Validates proof sequences for Parsons puzzles
+ * 
+ * This utility provides functionality to validate whether a user's arrangement
+ * of proof blocks matches the correct solution order, with support for
+ * partial validation, hint generation, and detailed feedback.
+ *
+ * Step dependencies: by default every step depends on the step before it in
+ * `solutionOrder`. A block may declare `dependsOn` (an array of block IDs) to
+ * override this, which turns the solution into a DAG. Any topological ordering
+ * of that DAG is accepted as correct.
+ *
+ * Interchangeable groups: `interchangeableGroups` lists runs of consecutive
+ * steps (e.g. `[["b3", "b4"]]`) that may be placed in any order. Each group
+ * is compiled into the same prerequisites, so any permutation is accepted.
+ *
+ * Distractors: blocks marked `distractor: true` belong to the puzzle but not
+ * to the proof. Using one is penalised and its `explanation` is reported.
+ * A distractor may be paired with the step it imitates (`pairedDistractors`,
+ * see pairs.js); choosing it is reported as picking the wrong twin.
+ *
+ * Misconceptions: a block may declare `misconceptions`, rules of the form
+ * `{ before, message }`. The message is reported when the block is placed
+ * before the block `before`, e.g. using a hypothesis before stating it.
+ *
+ * Placeholder choices: a block may declare `expectedSelections`, a map of
+ * placeholder key (e.g. `op_1`) to the accepted value or array of values.
+ * The student's choices are graded alongside the order of the proof. Typed
+ * `{{input}}` answers count when they are equivalent to an accepted one.
+ *
+ * Alternative proofs: `alternativeSolutions` holds further complete orders
+ * that are also accepted. An attempt is graded against, and hinted towards,
+ * whichever solution it is closest to.
+ *
+ * Nesting: a block may declare the `depth` it is indented to. When any block
+ * is nested, the indentation of every placed step is graded with the order.
+ *
+ * Two-column proofs: a block may declare the `justification` it expects (see
+ * justifications.js). The reason the student attaches to each placed step is
+ * graded with the order.
+ *
+ * Scoring: how the order earns partial credit is decided by the puzzle's
+ * `scoringStrategy` (see scoringStrategies.js), positional by default.
+ *
+ * Givens: blocks marked `given: true` are placed for the student and can't
+ * be moved (see givens.js). They are left out of the score, so it reflects
+ * only the steps the student placed.
+ *
+ * Hints: students reveal hints one tier at a time, up to the puzzle's
+ * `hintBudget`. Each costs `hintCost` points, and revealing the solution
+ * zeroes the score, so scores reflect unaided performance. The hints and
+ * reveals of each attempt are tracked in attempts.js.
+ *
+ * This module is shared by the client and the server. Puzzles served by the
+ * API don't include their solutions, so the server grades those attempts
+ * (POST /api/puzzles/:id/validate) and the client only grades puzzles it
+ * loaded from JSON.
+ */
+
+import { getPlaceholders, getDefaultPlaceholderValue, INPUT_PLACEHOLDER } from './placeholders.js';
+import { areEquivalent } from './expressions.js';
+import { isNestedPuzzle } from './nesting.js';
+import { getAcceptedJustifications, isAcceptedJustification } from './justifications.js';
+import { getScoringStrategy } from './scoringStrategies.js';
+import { getTwins } from './pairs.js';
+import { getTimeLimit, applyTimeFactor } from './timing.js';
+
+// Share of the score given to placeholder choices when a puzzle grades them
+const SELECTION_WEIGHT = 0.2;
+
+// Share of the score given to indentation when a puzzle is nested
+const NESTING_WEIGHT = 0.2;
+
+// Share of the score given to justifications in a two-column proof
+const JUSTIFICATION_WEIGHT = 0.2;
+
+// Hints a student may reveal per puzzle, and the points each one costs
+export const DEFAULT_HINT_BUDGET = 3;
+export const DEFAULT_HINT_COST = 10;
+
+// Submissions a student gets for a puzzle in exam mode
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * Maps each block to its interchangeable group, for the groups whose blocks
+ * are consecutive in a solution order. Other groups don't apply to it.
+ * @param {Array} solutionOrder - Order of solution block IDs
+ * @param {Array} groups - Arrays of interchangeable block IDs
+ * @returns {Map} Block ID -> group
+ */
+const mapGroups = (solutionOrder, groups = []) => {
+  const groupOf = new Map();
+
+  groups.forEach(group => {
+    const positions = group.map(id => solutionOrder.indexOf(id)).sort((a, b) => a - b);
+    const isConsecutive = positions[0] !== -1 &&
+                          positions.every((position, i) => position === positions[0] + i);
+
+    if (group.length > 1 && isConsecutive) {
+      group.forEach(id => groupOf.set(id, group));
+    }
+  });
+
+  return groupOf;
+};
+
+/**
+ * Builds a map of block ID -> prerequisite block IDs for a solution order.
+ * A block's `dependsOn` is only honoured when every dependency comes earlier
+ * in this order, so alternative solutions fall back to a linear chain.
+ * Within an interchangeable group every block shares the prerequisites of
+ * the first one, and the step after the group needs all of them.
+ * @param {Array} solutionOrder - Canonical order of solution block IDs
+ * @param {Map} blockMap - Map of block ID -> block
+ * @param {Array} [groups] - Arrays of interchangeable block IDs
+ * @returns {Map} Prerequisites for every block in the solution
+ */
+const buildPrerequisites = (solutionOrder, blockMap, groups = []) => {
+  const prerequisites = new Map();
+  const groupOf = mapGroups(solutionOrder, groups);
+
+  solutionOrder.forEach((blockId, index) => {
+    const block = blockMap.get(blockId);
+    const earlierIds = new Set(solutionOrder.slice(0, index));
+    const previousId = solutionOrder[index - 1];
+    const previousGroup = groupOf.get(previousId);
+
+    if (block && Array.isArray(block.dependsOn) && block.dependsOn.every(id => earlierIds.has(id))) {
+      prerequisites.set(blockId, block.dependsOn.filter(id => id !== blockId));
+    } else if (index === 0) {
+      prerequisites.set(blockId, []);
+    } else if (previousGroup && previousGroup === groupOf.get(blockId)) {
+      const firstId = solutionOrder.find(id => groupOf.get(id) === previousGroup);
+      prerequisites.set(blockId, prerequisites.get(firstId));
+    } else if (previousGroup) {
+      prerequisites.set(blockId, [...previousGroup]);
+    } else {
+      prerequisites.set(blockId, [previousId]);
+    }
+  });
+
+  return prerequisites;
+};
+
+export class ProofValidator {
+  constructor(puzzle) {
+    this.puzzle = puzzle;
+    this.solutionOrder = puzzle.solutionOrder;
+    this.blockMap = new Map(puzzle.blocks.map(block => [block.id, block]));
+    this.solutions = [puzzle.solutionOrder, ...(puzzle.alternativeSolutions || [])]
+      .map((order, index) => ({
+        index,
+        order,
+        prerequisites: buildPrerequisites(order, this.blockMap, puzzle.interchangeableGroups)
+      }));
+    this.prerequisites = this.solutions[0].prerequisites;
+    this.distractorIds = new Set(
+      puzzle.blocks.filter(block => block.distractor).map(block => block.id)
+    );
+    this.givenIds = new Set(
+      puzzle.blocks.filter(block => block.given).map(block => block.id)
+    );
+    this.twins = getTwins(puzzle);
+    this.isNested = isNestedPuzzle(puzzle);
+    this.scoringStrategy = getScoringStrategy(puzzle.scoringStrategy);
+    this.hintBudget = puzzle.hintBudget ?? DEFAULT_HINT_BUDGET;
+    this.hintCost = puzzle.hintCost ?? DEFAULT_HINT_COST;
+    this.maxAttempts = puzzle.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+  }
+  /**
+   * Validates the complete proof sequence
+   * @param {Array} userOrder - Array of block IDs in user's order
+   * @param {Object} [attempt] - Additional parts of the user's attempt
+   * @param {Object} [attempt.selections] - Map of block ID -> placeholder choices
+   * @param {Object} [attempt.indents] - Map of block ID -> indentation depth
+   * @param {Object} [attempt.justifications] - Map of block ID -> attached reason
+   * @param {number} [attempt.hintsUsed] - Hint tiers the student revealed
+   * @param {boolean} [attempt.solutionRevealed] - Whether the solution was shown
+   * @param {number} [attempt.timeTakenSeconds] - Time taken in timed mode;
+   *   adds a timed score to the result
+   * @param {Array} [attempt.givens] - Given block IDs placed for the student;
+   *   defaults to all of them, fewer when they have faded
+   * @returns {Object} Validation result with score, feedback, and details
+   */
+  validateProof(userOrder, attempt = {}) {
+    if (!userOrder || userOrder.length === 0) {
+      return {
+        isCorrect: false,
+        score: 0,
+        feedback: "Please arrange the proof blocks to create a valid proof.",
+        details: {
+          totalBlocks: this.solutionOrder.length,
+          correctBlocks: 0,
+          incorrectBlocks: 0,
+          missingBlocks: this.solutionOrder.length,
+          extraBlocks: 0,
+          distractorsUsed: [],
+          misconceptions: []
+        }
+      };
+    }
+
+    // Check for puzzle mismatch
+    const blockValidation = this.validateBlockIds(userOrder);
+    if (!blockValidation.isValid) {
+      console.warn('ProofValidator: Block ID mismatch detected', {
+        puzzleId: this.puzzle.id,
+        puzzleTitle: this.puzzle.title,
+        invalidBlocks: blockValidation.invalidBlocks,
+        userOrder
+      });
+      
+      return {
+        isCorrect: false,
+        score: 0,
+        feedback: `Error: Some blocks don't belong to the current puzzle "${this.puzzle.title}". Please refresh the page.`,
+        details: {
+          totalBlocks: this.solutionOrder.length,
+          correctBlocks: 0,
+          incorrectBlocks: userOrder.length,
+          missingBlocks: this.solutionOrder.length,
+          extraBlocks: userOrder.length,
+          distractorsUsed: [],
+          misconceptions: [],
+          puzzleMismatch: true,
+          invalidBlocks: blockValidation.invalidBlocks
+        },
+        hints: []
+      };
+    }
+
+    // Only blocks the author marked as given can be left out of the score
+    const givens = (attempt.givens || [...this.givenIds]).filter(id => this.givenIds.has(id));
+    const { solution, result, score } = this._closestSolution(userOrder, { ...attempt, givens });
+    const feedback = this._generateFeedback(result);
+    const hints = this._generateHints(result, userOrder, solution);
+
+    // Hints cost points and a revealed solution earns nothing
+    const { hintsUsed = 0, solutionRevealed = false } = attempt;
+    const hintPenalty = solutionRevealed ? score : Math.min(score, hintsUsed * this.hintCost);
+
+    // Timed attempts also get a score that rewards speed
+    const { timeTakenSeconds } = attempt;
+    const timing = typeof timeTakenSeconds === 'number' ? {
+      timeTakenSeconds,
+      timeLimitSeconds: getTimeLimit(this.puzzle),
+      timedScore: applyTimeFactor(score - hintPenalty, timeTakenSeconds, getTimeLimit(this.puzzle))
+    } : {};
+
+    return {
+      isCorrect: result.isComplete && result.correctSequence &&
+                 result.selections.incorrect.length === 0 &&
+                 result.nesting.incorrect.length === 0 &&
+                 result.justifications.incorrect.length === 0,
+      score: score - hintPenalty,
+      unaidedScore: score,
+      hintsUsed,
+      hintPenalty,
+      solutionRevealed,
+      ...timing,
+      feedback,
+      details: result,
+      hints,
+      hintLadder: this.getHintLadder(hints[0], result),
+      scoringStrategy: {
+        id: this.scoringStrategy.id,
+        label: this.scoringStrategy.label,
+        description: this.scoringStrategy.description
+      }
+    };
+  }
+
+  /**
+   * Builds the tiered ladder for a hint, from a vague nudge to the exact
+   * block. Each tier is revealed separately and counts as one hint.
+   * @param {Object} hint - A hint from `validateProof`
+   * @param {Object} result - The `details` of the same validation
+   * @returns {Array} Tiers of { level, message, latex }
+   */
+  getHintLadder(hint, result) {
+    if (!hint || hint.type === 'error') {
+      return [];
+    }
+
+    const step = hint.position + 1;
+    const targetStep = result.targetOrder.indexOf(hint.blockId) + 1;
+    const tiers = {
+      distractor: [
+        "One of your steps doesn't belong in this proof.",
+        `Look closely at step ${step}. Is it really true at that point?`
+      ],
+      twin: [
+        'For one of the paired steps, you picked the wrong version.',
+        `Compare step ${step} with its twin, word for word.`
+      ],
+      position: [
+        'Some steps are out of order. Check that each step only uses what comes before it.',
+        `Step ${step} is in the wrong place.`
+      ],
+      nesting: [
+        'Check how your steps are indented.',
+        `Step ${step} is not at the right indentation level.`
+      ],
+      justification: [
+        'Check the reason you gave for each step.',
+        `The reason for step ${step} doesn't fit.`
+      ],
+      missing: [
+        'Your proof is missing a step.',
+        `Step ${targetStep} of the proof is missing.`
+      ],
+      next: [
+        'Think about what has to come right after your last step.',
+        `Your next step follows directly from step ${result.userBlocks}.`
+      ]
+    }[hint.type] || [];
+
+    return [
+      ...tiers.map((message, index) => ({ level: index + 1, message, latex: '' })),
+      { level: tiers.length + 1, message: hint.message, latex: hint.latex }
+    ];
+  }
+
+  /**
+   * Validates a partial proof (useful for real-time feedback)
+   * @param {Array} userOrder - Array of block IDs in user's current order
+   * @returns {Object} Partial validation result
+   */
+  validatePartial(userOrder) {
+    if (!userOrder || userOrder.length === 0) {
+      return {
+        isValid: true,
+        correctSoFar: true,
+        nextExpected: this.solutionOrder[0],
+        progress: 0
+      };
+    }
+
+    const { solution } = this._closestSolution(userOrder);
+    const correctSoFar = this._isCorrectSequence(userOrder, 0, userOrder.length, solution);
+    const nextExpected = this._nextExpectedInSolution(userOrder, solution);
+
+    return {
+      isValid: correctSoFar,
+      correctSoFar,
+      nextExpected,
+      progress: (userOrder.length / solution.order.length) * 100,
+      currentLength: userOrder.length,
+      totalLength: solution.order.length
+    };
+  }
+
+  /**
+   * Checks if a block can be placed at a specific position
+   * @param {string} blockId - ID of the block to place
+   * @param {number} position - Target position (0-indexed)
+   * @param {Array} currentOrder - Current user arrangement
+   * @returns {boolean} Whether the placement is valid
+   */
+  canPlaceBlock(blockId, position, currentOrder = []) {
+    return this.solutions.some(solution => {
+      if (position < 0 || position >= solution.order.length) {
+        return false;
+      }
+
+      // Check if previous positions are correctly filled
+      if (currentOrder.length < position || !this._isCorrectSequence(currentOrder, 0, position, solution)) {
+        return false;
+      }
+
+      // Check if all of this block's prerequisites are already placed
+      const placed = new Set(currentOrder.slice(0, position));
+      return solution.prerequisites.has(blockId) &&
+             !placed.has(blockId) &&
+             this._isReady(blockId, placed, solution);
+    });
+  }
+
+  /**
+   * Gets the next valid block that should be placed
+   * @param {Array} currentOrder - Current user arrangement
+   * @returns {string|null} ID of the next expected block, or null if complete
+   */
+  getNextExpectedBlock(currentOrder = []) {
+    return this._nextExpectedInSolution(currentOrder, this._closestSolution(currentOrder).solution);
+  }
+
+  /**
+   * Gets the next block that should be placed according to one solution
+   * @private
+   */
+  _nextExpectedInSolution(currentOrder, solution) {
+    if (currentOrder.length >= solution.order.length) {
+      return null;
+    }
+
+    // Check if current sequence is correct
+    if (this._isCorrectSequence(currentOrder, 0, currentOrder.length, solution)) {
+      const placed = new Set(currentOrder);
+      return solution.order.find(id => !placed.has(id) && this._isReady(id, placed, solution)) || null;
+    }
+
+    // Find first incorrect position
+    const targetOrder = this._resolveTargetOrder(currentOrder, solution);
+    for (let i = 0; i < currentOrder.length; i++) {
+      if (currentOrder[i] !== targetOrder[i]) {
+        return targetOrder[i] || null;
+      }
+    }
+
+    return null;
+  }
+  /**
+   * Picks the solution the user's attempt is closest to, i.e. the one that
+   * gives the highest score. Ties go to the earlier solution.
+   * @private
+   */
+  _closestSolution(userOrder, attempt = {}) {
+    let closest = null;
+
+    this.solutions.forEach(solution => {
+      const result = this._analyzeSequence(userOrder, attempt, solution);
+      const score = this._calculateScore(result);
+
+      if (!closest || score > closest.score) {
+        closest = { solution, result, score };
+      }
+    });
+
+    return closest;
+  }
+
+  /**
+   * Analyzes the complete sequence and returns detailed results
+   * @private
+   */
+  _analyzeSequence(userOrder, { selections = {}, indents = {}, justifications = {}, givens = [] } = {}, solution = this.solutions[0]) {
+    const solutionSet = new Set(solution.order);
+    const userSet = new Set(userOrder);
+    const givenIds = new Set(givens.filter(id => solutionSet.has(id)));
+    
+    // Count blocks that exist in both solution and user's attempt, other than givens
+    const correctBlocksInSolution = [...userSet].filter(id => solutionSet.has(id) && !givenIds.has(id)).length;
+    
+    // Count extra blocks (blocks in user's solution but not in correct solution)
+    const extraBlocks = [...userSet].filter(id => !solutionSet.has(id) && !this.distractorIds.has(id)).length;
+    
+    // Count missing blocks (blocks in correct solution but not in user's attempt)
+    const missingBlocks = [...solutionSet].filter(id => !userSet.has(id)).length;
+
+    // Find distractors that were used, with the author's explanation
+    const distractorsUsed = [];
+    userOrder.forEach((blockId, position) => {
+      if (this.distractorIds.has(blockId)) {
+        distractorsUsed.push({
+          blockId,
+          position,
+          explanation: this.blockMap.get(blockId).explanation || '',
+          twinId: this.twins.get(blockId) || null
+        });
+      }
+    });
+    
+    const isComplete = userOrder.length === solution.order.length && 
+                      missingBlocks === 0 && extraBlocks === 0 &&
+                      distractorsUsed.length === 0;
+    
+    const correctSequence = isComplete && 
+                           this._isCorrectSequence(userOrder, 0, userOrder.length, solution);
+
+    // Compare against the valid ordering closest to the user's attempt
+    const targetOrder = this._resolveTargetOrder(userOrder, solution);
+
+    // Find correctly positioned blocks. Distractors are skipped so that a
+    // single wrong step does not shift every step after it. A wrong twin
+    // stays, taking the slot of the step it imitates, so it is the only step
+    // to lose credit; it is already reported as a wrong twin.
+    const correctlyPositioned = [];
+    const incorrectlyPositioned = [];
+    const isWrongTwin = (blockId) => this.distractorIds.has(blockId) && this.twins.has(blockId);
+    const proofSteps = userOrder
+      .map((blockId, position) => ({ blockId, position }))
+      .filter(step => !this.distractorIds.has(step.blockId) || isWrongTwin(step.blockId));
+    
+    for (let i = 0; i < Math.min(proofSteps.length, targetOrder.length); i++) {
+      const { blockId, position } = proofSteps[i];
+      if (givenIds.has(blockId) || isWrongTwin(blockId)) {
+        continue;
+      }
+      if (blockId === targetOrder[i]) {
+        correctlyPositioned.push({
+          blockId,
+          position
+        });
+      } else {
+        incorrectlyPositioned.push({
+          blockId,
+          position,
+          expectedBlockId: targetOrder[i]
+        });
+      }
+    }
+
+    return {
+      solutionIndex: solution.index,
+      totalBlocks: solution.order.length,
+      givenBlocks: givenIds.size,
+      userBlocks: userOrder.length,
+      correctBlocks: correctBlocksInSolution,
+      extraBlocks,
+      missingBlocks,
+      distractorsUsed,
+      wrongTwins: distractorsUsed.filter(distractor => distractor.twinId),
+      misconceptions: this._findMisconceptions(userOrder),
+      isComplete,
+      correctSequence,
+      correctlyPositioned,
+      incorrectlyPositioned,
+      targetOrder,
+      orderCredit: this.scoringStrategy.orderCredit(
+        proofSteps.map(step => step.blockId).filter(id => !givenIds.has(id)),
+        targetOrder.filter(id => !givenIds.has(id))
+      ),
+      selections: this._gradeSelections(userOrder, selections, solution, givenIds),
+      nesting: this._gradeNesting(userOrder, indents, solution, givenIds),
+      justifications: this._gradeJustifications(userOrder, justifications, solution, givenIds),
+      duplicates: this._findDuplicates(userOrder)
+    };
+  }
+
+  /**
+   * Finds the author-written misconception rules the user's order triggers
+   * @private
+   */
+  _findMisconceptions(userOrder) {
+    const positions = new Map();
+    userOrder.forEach((blockId, position) => {
+      if (!positions.has(blockId)) {
+        positions.set(blockId, position);
+      }
+    });
+
+    const triggered = [];
+    userOrder.forEach((blockId, position) => {
+      if (positions.get(blockId) !== position) return;
+
+      (this.blockMap.get(blockId)?.misconceptions || []).forEach(rule => {
+        if (positions.has(rule.before) && positions.get(rule.before) > position) {
+          triggered.push({
+            blockId,
+            beforeBlockId: rule.before,
+            position,
+            beforePosition: positions.get(rule.before),
+            message: rule.message
+          });
+        }
+      });
+    });
+
+    return triggered;
+  }
+
+  /**
+   * Grades the placeholder choices of the solution blocks the user placed.
+   * Placeholders the student never touched count as their default option.
+   * @private
+   */
+  _gradeSelections(userOrder, selections, solution, givenIds = new Set()) {
+    const graded = { total: 0, correct: 0, incorrect: [] };
+    const positions = new Map(userOrder.map((blockId, position) => [blockId, position]));
+
+    solution.order.filter(blockId => !givenIds.has(blockId)).forEach(blockId => {
+      const block = this.blockMap.get(blockId);
+      const expected = block?.expectedSelections || {};
+      const placeholders = getPlaceholders(block?.latex).filter(p => expected[p.key] !== undefined);
+
+      graded.total += placeholders.length;
+      if (!positions.has(blockId)) return;
+
+      placeholders.forEach(({ key, type }) => {
+        const accepted = [].concat(expected[key]);
+        const actual = selections[blockId]?.[key] || getDefaultPlaceholderValue(type);
+        const isAccepted = type === INPUT_PLACEHOLDER
+          ? accepted.some(answer => areEquivalent(actual, answer))
+          : accepted.includes(actual);
+
+        if (isAccepted) {
+          graded.correct++;
+        } else {
+          graded.incorrect.push({
+            blockId,
+            position: positions.get(blockId),
+            key,
+            type,
+            actual
+          });
+        }
+      });
+    });
+
+    return graded;
+  }
+
+  /**
+   * Grades the indentation of the solution blocks the user placed. Only
+   * nested puzzles grade indentation; blocks without a `depth` belong at 0.
+   * @private
+   */
+  _gradeNesting(userOrder, indents, solution, givenIds = new Set()) {
+    const graded = { total: 0, correct: 0, incorrect: [] };
+    if (!this.isNested) {
+      return graded;
+    }
+
+    const positions = new Map(userOrder.map((blockId, position) => [blockId, position]));
+
+    solution.order.filter(blockId => !givenIds.has(blockId)).forEach(blockId => {
+      graded.total++;
+      if (!positions.has(blockId)) return;
+
+      const expected = this.blockMap.get(blockId)?.depth || 0;
+      const actual = indents[blockId] || 0;
+
+      if (actual === expected) {
+        graded.correct++;
+      } else {
+        graded.incorrect.push({
+          blockId,
+          position: positions.get(blockId),
+          expected,
+          actual
+        });
+      }
+    });
+
+    return graded;
+  }
+
+  /**
+   * Grades the reasons attached to the solution blocks the user placed. Only
+   * blocks that declare a justification are graded; a missing reason is wrong.
+   * @private
+   */
+  _gradeJustifications(userOrder, justifications, solution, givenIds = new Set()) {
+    const graded = { total: 0, correct: 0, incorrect: [] };
+    const positions = new Map(userOrder.map((blockId, position) => [blockId, position]));
+
+    solution.order.filter(blockId => !givenIds.has(blockId)).forEach(blockId => {
+      const block = this.blockMap.get(blockId);
+      if (getAcceptedJustifications(block).length === 0) return;
+
+      graded.total++;
+      if (!positions.has(blockId)) return;
+
+      const actual = justifications[blockId] || '';
+      if (isAcceptedJustification(block, actual)) {
+        graded.correct++;
+      } else {
+        graded.incorrect.push({
+          blockId,
+          position: positions.get(blockId),
+          actual
+        });
+      }
+    });
+
+    return graded;
+  }
+
+  /**
+   * Checks if a subsequence is correct, i.e. every block in it is a solution
+   * block whose prerequisites all appear earlier in the user's order
+   * @private
+   */
+  _isCorrectSequence(userOrder, start, end, solution = this.solutions[0]) {
+    const placed = new Set(userOrder.slice(0, start));
+
+    for (let i = start; i < end; i++) {
+      const blockId = userOrder[i];
+      if (i >= solution.order.length ||
+          !solution.prerequisites.has(blockId) ||
+          placed.has(blockId) ||
+          !this._isReady(blockId, placed, solution)) {
+        return false;
+      }
+      placed.add(blockId);
+    }
+    return true;
+  }
+
+  /**
+   * Checks if all prerequisites of a block have been placed
+   * @private
+   */
+  _isReady(blockId, placed, solution = this.solutions[0]) {
+    return (solution.prerequisites.get(blockId) || []).every(id => placed.has(id));
+  }
+
+  /**
+   * Resolves the dependency graph into the valid ordering closest to the
+   * user's attempt. At each step, of the blocks whose prerequisites are met,
+   * the one the user placed earliest is taken; unplaced blocks keep their
+   * canonical order.
+   * @private
+   */
+  _resolveTargetOrder(userOrder, solution = this.solutions[0]) {
+    const userRank = new Map();
+    userOrder.forEach((blockId, index) => {
+      if (!userRank.has(blockId)) {
+        userRank.set(blockId, index);
+      }
+    });
+
+    const rankOf = (blockId) => userRank.has(blockId)
+      ? userRank.get(blockId)
+      : userOrder.length + solution.order.indexOf(blockId);
+
+    const targetOrder = [];
+    const placed = new Set();
+    const remaining = [...solution.order];
+
+    while (remaining.length > 0) {
+      const ready = remaining.filter(id => this._isReady(id, placed, solution));
+      // A malformed (cyclic) graph falls back to the canonical order
+      const candidates = ready.length > 0 ? ready : remaining;
+      const next = candidates.reduce((best, id) => rankOf(id) < rankOf(best) ? id : best);
+
+      targetOrder.push(next);
+      placed.add(next);
+      remaining.splice(remaining.indexOf(next), 1);
+    }
+
+    return targetOrder;
+  }
+
+  /**
+   * Finds duplicate blocks in user order
+   * @private
+   */
+  _findDuplicates(userOrder) {
+    const seen = new Set();
+    const duplicates = [];
+    
+    userOrder.forEach((blockId, index) => {
+      if (seen.has(blockId)) {
+        duplicates.push({ blockId, position: index });
+      } else {
+        seen.add(blockId);
+      }
+    });
+    
+    return duplicates;
+  }
+
+  /**
+   * Calculates a score based on correctness
+   * @private
+   */
+  _calculateScore(result) {
+    const orderScore = this._calculateOrderScore(result);
+
+    // Placeholder choices, indentation and justifications each take a share
+    // of the score, but only when the puzzle grades them
+    const gradedParts = [
+      [result.selections, SELECTION_WEIGHT],
+      [result.nesting, NESTING_WEIGHT],
+      [result.justifications, JUSTIFICATION_WEIGHT]
+    ].filter(([graded]) => graded.total > 0);
+
+    if (gradedParts.length === 0) {
+      return orderScore;
+    }
+
+    const partsWeight = gradedParts.reduce((sum, [, weight]) => sum + weight, 0);
+    const partsScore = gradedParts.reduce(
+      (sum, [graded, weight]) => sum + (graded.correct / graded.total) * 100 * weight, 0
+    );
+
+    return Math.round(orderScore * (1 - partsWeight) + partsScore);
+  }
+
+  /**
+   * Calculates the part of the score earned by the order of the blocks
+   * @private
+   */
+  _calculateOrderScore(result) {
+    if (result.correctSequence) {
+      return 100;
+    }
+
+    // Partial scoring based on the strategy's order credit and presence of correct blocks
+    const positionScore = result.orderCredit * 60;
+    const studentBlocks = result.totalBlocks - result.givenBlocks;
+    const presenceScore = (studentBlocks > 0 ? result.correctBlocks / studentBlocks : 1) * 40;
+    
+    // Penalty for extra blocks
+    const extraPenalty = Math.min(result.extraBlocks * 5, 20);
+
+    // Distractors are plausible but wrong, so they cost more than extras
+    const distractorPenalty = Math.min(result.distractorsUsed.length * 10, 30);
+    
+    return Math.max(0, Math.round(positionScore + presenceScore - extraPenalty - distractorPenalty));
+  }
+
+  /**
+   * Generates human-readable feedback
+   * @private
+   */
+  _generateFeedback(result) {
+    const wrongSelections = result.selections.incorrect.length;
+    const wrongIndents = result.nesting.incorrect.length;
+    const wrongReasons = result.justifications.incorrect.length;
+
+    if (result.correctSequence && wrongSelections === 0 && wrongIndents === 0 && wrongReasons === 0) {
+      return result.solutionIndex > 0
+        ? "🎉 Excellent! Your proof is completely correct! You found one of the accepted alternative proofs."
+        : "🎉 Excellent! Your proof is completely correct!";
+    }
+
+    if (result.correctSequence) {
+      const fixes = [];
+      if (wrongSelections > 0) fixes.push(`${wrongSelections} symbol choice(s)`);
+      if (wrongIndents > 0) fixes.push(`${wrongIndents} indentation level(s)`);
+      if (wrongReasons > 0) fixes.push(`${wrongReasons} justification(s)`);
+      return `🧩 The steps are in the right order, but ${fixes.join(' and ')} need fixing.`;
+    }
+
+    const feedback = [];
+
+    if (result.missingBlocks > 0) {
+      feedback.push(`❌ Missing ${result.missingBlocks} block(s) from your proof.`);
+    }
+
+    if (result.extraBlocks > 0) {
+      feedback.push(`⚠️ You have ${result.extraBlocks} extra or incorrect block(s).`);
+    }
+
+    const unpairedDistractors = result.distractorsUsed.length - result.wrongTwins.length;
+    if (unpairedDistractors > 0) {
+      feedback.push(`🚫 ${unpairedDistractors} step(s) you used don't belong in this proof.`);
+    }
+
+    if (result.wrongTwins.length > 0) {
+      feedback.push(`⚖️ You picked the wrong version of ${result.wrongTwins.length} paired step(s).`);
+    }
+
+    if (result.misconceptions.length > 0) {
+      feedback.push(`💬 ${result.misconceptions[0].message}`);
+    }
+
+    if (result.duplicates.length > 0) {
+      feedback.push(`🔄 You have ${result.duplicates.length} duplicate block(s).`);
+    }
+
+    if (result.incorrectlyPositioned.length > 0) {
+      feedback.push(`📍 ${result.incorrectlyPositioned.length} block(s) are in the wrong position.`);
+    }
+
+    if (result.correctlyPositioned.length > 0) {
+      feedback.push(`✅ ${result.correctlyPositioned.length} block(s) are correctly positioned.`);
+    }
+
+    if (wrongSelections > 0) {
+      feedback.push(`🔣 ${wrongSelections} symbol choice(s) are incorrect.`);
+    }
+
+    if (wrongIndents > 0) {
+      feedback.push(`↔️ ${wrongIndents} step(s) are at the wrong indentation level.`);
+    }
+
+    if (wrongReasons > 0) {
+      feedback.push(`📋 ${wrongReasons} step(s) have a missing or wrong justification.`);
+    }
+
+    return feedback.length > 0 ? feedback.join(' ') : "Keep working on your proof!";
+  }  /**
+   * Generates specific hints for improvement
+   * @private
+   */
+  _generateHints(result, userOrder, solution = this.solutions[0]) {
+    const hints = [];
+    const usedBlocks = new Set(); // Track blocks already suggested
+
+    if (result.correctSequence) {
+      return [...this._generateNestingHints(result), ...this._generateJustificationHints(result)];
+    }
+
+    // Safety check: ensure we're working with the right puzzle
+    const blockValidation = this.validateBlockIds(userOrder);
+    if (!blockValidation.isValid) {
+      console.warn('ProofValidator: Cannot generate hints due to puzzle mismatch');
+      return [{
+        type: 'error',
+        message: 'Please refresh the page - there seems to be a puzzle mismatch.',
+        latex: '',
+        blockId: null
+      }];
+    }
+
+    // Hint about the first distractor in use
+    if (result.distractorsUsed.length > 0) {
+      const firstDistractor = result.distractorsUsed[0];
+      const distractorBlock = this.blockMap.get(firstDistractor.blockId);
+
+      hints.push({
+        type: firstDistractor.twinId ? 'twin' : 'distractor',
+        message: firstDistractor.twinId
+          ? `The step at position ${firstDistractor.position + 1} is the wrong version of a paired step. Swap it for its twin:`
+          : `Remove the step at position ${firstDistractor.position + 1}, it doesn't belong in this proof:`,
+        latex: distractorBlock.latex,
+        position: firstDistractor.position,
+        blockId: firstDistractor.blockId
+      });
+      usedBlocks.add(firstDistractor.blockId);
+    }
+
+    // Hint about first incorrect position
+    if (result.incorrectlyPositioned.length > 0) {
+      const firstError = result.incorrectlyPositioned[0];
+      const expectedBlock = this.blockMap.get(firstError.expectedBlockId);
+      
+      if (expectedBlock && !usedBlocks.has(firstError.expectedBlockId)) {
+        hints.push({
+          type: 'position',
+          message: `The block at position ${firstError.position + 1} should be:`,
+          latex: expectedBlock.latex,
+          position: firstError.position,
+          expectedBlockId: firstError.expectedBlockId
+        });
+        usedBlocks.add(firstError.expectedBlockId);
+      }
+    }
+
+    // Hint about the first step at the wrong depth
+    if (hints.length < 3) {
+      hints.push(...this._generateNestingHints(result).slice(0, 1));
+    }
+
+    // Hint about missing blocks (find the next missing block in sequence)
+    if (result.missingBlocks > 0 && hints.length < 3) {
+      // Find the first missing block that should come next in the sequence
+      for (let i = 0; i < solution.order.length && hints.length < 3; i++) {
+        const blockId = solution.order[i];
+        if (!userOrder.includes(blockId) && !usedBlocks.has(blockId)) {
+          const missingBlock = this.blockMap.get(blockId);
+          if (missingBlock) {
+            hints.push({
+              type: 'missing',
+              message: `You're missing this important step:`,
+              latex: missingBlock.latex,
+              blockId: blockId
+            });
+            usedBlocks.add(blockId);
+            break; // Only suggest one missing block at a time
+          }
+        }
+      }
+    }
+
+    // Hint about next expected block (if different from already suggested)
+    if (userOrder.length < solution.order.length && hints.length < 3) {
+      const nextExpected = this._nextExpectedInSolution(userOrder, solution);
+      if (nextExpected && !usedBlocks.has(nextExpected)) {
+        const nextBlock = this.blockMap.get(nextExpected);
+        if (nextBlock) {
+          hints.push({
+            type: 'next',
+            message: `Try adding this block next:`,
+            latex: nextBlock.latex,
+            blockId: nextExpected
+          });
+          usedBlocks.add(nextExpected);
+        }
+      }
+    }
+
+    // If we still don't have enough hints, suggest additional missing blocks
+    if (hints.length < 3 && result.missingBlocks > 0) {
+      const missingIds = solution.order.filter(id => !userOrder.includes(id) && !usedBlocks.has(id));
+      for (let i = 0; i < missingIds.length && hints.length < 3; i++) {
+        const missingBlock = this.blockMap.get(missingIds[i]);
+        if (missingBlock) {
+          hints.push({
+            type: 'missing',
+            message: `Consider this step:`,
+            latex: missingBlock.latex,
+            blockId: missingIds[i]
+          });
+          usedBlocks.add(missingIds[i]);
+        }
+      }
+    }
+
+    return hints;
+  }
+
+  /**
+   * Generates a hint for the first step that is indented wrongly
+   * @private
+   */
+  _generateNestingHints(result) {
+    const firstError = result.nesting.incorrect[0];
+    if (!firstError) {
+      return [];
+    }
+
+    const direction = firstError.actual < firstError.expected ? 'further in' : 'further out';
+    return [{
+      type: 'nesting',
+      message: `The step at position ${firstError.position + 1} should be indented ${direction} (level ${firstError.expected}):`,
+      latex: this.blockMap.get(firstError.blockId).latex,
+      position: firstError.position,
+      blockId: firstError.blockId
+    }];
+  }
+
+  /**
+   * Generates a hint for the first step with a missing or wrong reason
+   * @private
+   */
+  _generateJustificationHints(result) {
+    const firstError = result.justifications.incorrect[0];
+    if (!firstError) {
+      return [];
+    }
+
+    return [{
+      type: 'justification',
+      message: firstError.actual
+        ? `"${firstError.actual}" is not why the step at position ${firstError.position + 1} holds. Which rule lets you write it?`
+        : `The step at position ${firstError.position + 1} still needs a justification:`,
+      latex: this.blockMap.get(firstError.blockId).latex,
+      position: firstError.position,
+      blockId: firstError.blockId
+    }];
+  }
+
+  /**
+   * Truncates LaTeX for display (now only used for non-hint purposes)
+   * @private
+   */
+  _truncateLatex(latex, maxLength = 50) {
+    if (latex.length <= maxLength) {
+      return latex;
+    }
+    return latex.substring(0, maxLength) + '...';
+  }
+
+  /**
+   * Gets validation statistics for the puzzle
+   * @returns {Object} Statistics about the puzzle structure
+   */
+  getStatistics() {
+    return {
+      totalBlocks: this.solutionOrder.length,
+      distractorCount: this.distractorIds.size,
+      scoringStrategy: this.scoringStrategy.id,
+      hintBudget: this.hintBudget,
+      hintCost: this.hintCost,
+      maxAttempts: this.maxAttempts,
+      alternativeSolutions: this.solutions.length - 1,
+      maxDepth: Math.max(0, ...this.puzzle.blocks.map(block => block.depth || 0)),
+      blockTypes: this.puzzle.blocks.map(block => ({
+        id: block.id,
+        preview: this._truncateLatex(block.latex, 30)
+      })),
+      difficulty: this._estimateDifficulty()
+    };
+  }
+
+  /**
+   * Estimates puzzle difficulty based on number of blocks
+   * @private
+   */
+  _estimateDifficulty() {
+    const blockCount = this.solutionOrder.length;
+    if (blockCount <= 5) return 'Easy';
+    if (blockCount <= 10) return 'Medium';
+    return 'Hard';
+  }
+
+  /**
+   * Debug method to analyze what's happening with validation
+   * @param {Array} userOrder - Array of block IDs in user's order
+   * @returns {Object} Debug information
+   */
+  debugValidation(userOrder) {
+    const { solution, result } = this._closestSolution(userOrder);
+    const hints = this._generateHints(result, userOrder, solution);
+    
+    return {
+      puzzle: {
+        id: this.puzzle.id,
+        title: this.puzzle.title,
+        totalBlocks: this.solutionOrder.length,
+        solutionOrder: this.solutionOrder,
+        dependencies: Object.fromEntries(this.prerequisites),
+        alternativeSolutions: this.solutions.slice(1).map(solution => solution.order)
+      },
+      userInput: {
+        userOrder,
+        userBlocks: userOrder.length
+      },
+      analysis: result,
+      hints,
+      validation: this.validateProof(userOrder)
+    };
+  }
+
+  /**
+   * Validates that a user order contains only valid block IDs for this puzzle
+   * @param {Array} userOrder - Array of block IDs in user's order
+   * @returns {Object} Validation result with invalid blocks identified
+   */
+  validateBlockIds(userOrder) {
+    const validBlockIds = new Set(this.puzzle.blocks.map(block => block.id));
+    const invalidBlocks = userOrder.filter(id => !validBlockIds.has(id));
+    const validBlocks = userOrder.filter(id => validBlockIds.has(id));
+    
+    return {
+      isValid: invalidBlocks.length === 0,
+      invalidBlocks,
+      validBlocks,
+      puzzleId: this.puzzle.id,
+      puzzleTitle: this.puzzle.title
+    };
+  }
+}
+
+// Export utility functions that can be used independently
+export const ValidationUtils = {
+  /**
+   * Quick validation function for simple use cases
+   */
+  isCorrectOrder: (userOrder, correctOrder) => {
+    if (userOrder.length !== correctOrder.length) return false;
+    return userOrder.every((block, index) => block === correctOrder[index]);
+  },
+
+  /**
+   * Calculate percentage similarity between two sequences
+   */
+  calculateSimilarity: (userOrder, correctOrder) => {
+    if (correctOrder.length === 0) return 0;
+    
+    let matches = 0;
+    const minLength = Math.min(userOrder.length, correctOrder.length);
+    
+    for (let i = 0; i < minLength; i++) {
+      if (userOrder[i] === correctOrder[i]) {
+        matches++;
+      }
+    }
+    
+    return (matches / correctOrder.length) * 100;
+  },
+
+  /**
+   * Find the longest correct subsequence from the beginning
+   */
+  findCorrectPrefix: (userOrder, correctOrder) => {
+    let length = 0;
+    const minLength = Math.min(userOrder.length, correctOrder.length);
+    
+    for (let i = 0; i < minLength; i++) {
+      if (userOrder[i] === correctOrder[i]) {
+        length++;
+      } else {
+        break;
+      }
+    }
+    
+    return length;
+  }
+};
+
+export default ProofValidator;
\ No newline at end of file
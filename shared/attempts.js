@@ -0,0 +1,236 @@
+/**
+ * Helpers for tracking hints and solution reveals per attempt
+ *
+ * Hints are revealed one tier of their ladder at a time (see
+ * ProofValidator.getHintLadder), and each tier counts against the puzzle's
+ * hint budget. What the student revealed is kept in an attempt record, by the
+ * server for puzzles it grades (models/Attempt.js) and by gradingService for
+ * puzzles graded in the browser. Attempts are graded with the record, not
+ * with counts sent by the client, and timed attempts with the time since the
+ * record was made rather than a time the client reports.
+ *
+ * Exam attempts keep their submissions, which are limited to the puzzle's
+ * maxAttempts. The record outlives the page, so starting over or reloading
+ * doesn't give attempts back.
+ *
+ * Students only see the hint tiers they revealed: the other hints and the
+ * order the proof was compared with are left out of their results.
+ */
+
+import { getAcceptedJustifications } from './justifications.js';
+import { getTimeLimit } from './timing.js';
+
+/**
+ * Creates the record of a fresh attempt
+ * @param {string} [mode] - 'practice', 'timed' or 'exam'
+ * @returns {Object} { mode, hintsUsed, hintKey, hintLevel, solutionRevealed,
+ *   submissions, createdAt }
+ */
+export const createAttemptRecord = (mode = 'practice') => ({
+  mode,
+  hintsUsed: 0,
+  hintKey: null,
+  hintLevel: 0,
+  solutionRevealed: false,
+  submissions: [],
+  createdAt: new Date()
+});
+
+/**
+ * Gets the time an attempt has taken, up to the puzzle's time limit
+ * @param {Object} record - Attempt record
+ * @param {Object} puzzle - Puzzle being solved
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} Whole seconds since the record was made
+ */
+export const getElapsedSeconds = (record, puzzle, now = Date.now()) => {
+  const elapsed = Math.round((now - new Date(record.createdAt).getTime()) / 1000);
+  return Math.min(getTimeLimit(puzzle), Math.max(0, elapsed));
+};
+
+// The ladder starts over when the most important hint changes
+const getHintKey = (hint) => `${hint.type}-${hint.blockId || hint.expectedBlockId}-${hint.position}`;
+
+/**
+ * Grades an attempt with the hints and reveals on its record
+ * @param {Object} validator - ProofValidator of the puzzle
+ * @param {Array} order - Block IDs in the order the student placed them
+ * @param {Object} attempt - { selections, indents, justifications, givens }
+ * @param {Object} record - Attempt record
+ * @returns {Object} Validation result from ProofValidator, timed if the
+ *   attempt was started in timed mode
+ */
+export const gradeAttempt = (validator, order, attempt, record) => {
+  const { selections, indents, justifications, givens } = attempt;
+  const timing = record.mode === 'timed'
+    ? { timeTakenSeconds: getElapsedSeconds(record, validator.puzzle) }
+    : {};
+
+  return validator.validateProof(order, {
+    selections,
+    indents,
+    justifications,
+    givens,
+    hintsUsed: record.hintsUsed,
+    solutionRevealed: record.solutionRevealed,
+    ...timing
+  });
+};
+
+/**
+ * Gets the tiers of the current hint the student has revealed
+ * @param {Object} record - Attempt record
+ * @param {Object} result - Validation result
+ * @returns {Object|null} { type, tiers, hasMore }, or null if there is no hint
+ */
+export const getRevealedHint = (record, result) => {
+  const hint = result.hints?.[0];
+  const ladder = result.hintLadder || [];
+  if (!hint || ladder.length === 0) return null;
+
+  const level = getHintKey(hint) === record.hintKey ? record.hintLevel : 0;
+  return { type: hint.type, tiers: ladder.slice(0, level), hasMore: level < ladder.length };
+};
+
+/**
+ * Reveals the next tier of the current hint, while the budget lasts
+ * @param {Object} record - Attempt record, updated in place
+ * @param {Object} result - Validation result of the proof as it is now
+ * @param {number} hintBudget - Tiers the puzzle allows per attempt
+ * @returns {boolean} True if a tier was revealed
+ */
+export const revealNextHint = (record, result, hintBudget) => {
+  const hint = result.hints?.[0];
+  const ladder = result.hintLadder || [];
+  if (!hint || ladder.length === 0) return false;
+
+  const key = getHintKey(hint);
+  if (key !== record.hintKey) {
+    record.hintKey = key;
+    record.hintLevel = 0;
+  }
+  if (record.hintsUsed >= hintBudget || record.hintLevel >= ladder.length) return false;
+
+  record.hintLevel++;
+  record.hintsUsed++;
+  return true;
+};
+
+/**
+ * Trims a validation result to what the student may see
+ * @param {Object} result - Validation result
+ * @param {Object} record - Attempt record the result was graded with
+ * @returns {Object} Result with the revealed `hint` in place of `hints` and
+ *   `hintLadder`, and without the order the proof was compared with
+ */
+export const toStudentResult = (result, record) => {
+  const visible = { ...result, hint: getRevealedHint(record, result) };
+  delete visible.hints;
+  delete visible.hintLadder;
+
+  if (result.details) {
+    visible.details = { ...result.details };
+    delete visible.details.targetOrder;
+    delete visible.details.solutionIndex;
+    if (result.details.incorrectlyPositioned) {
+      visible.details.incorrectlyPositioned = result.details.incorrectlyPositioned
+        .map(step => ({ blockId: step.blockId, position: step.position }));
+    }
+  }
+
+  return visible;
+};
+
+/**
+ * Sums up a graded attempt for the student's progress
+ * @param {Object} result - Validation result
+ * @returns {Object} { score, isCorrect, hintsUsed }, and timeTakenSeconds
+ *   for timed attempts
+ */
+export const getAttemptOutcome = (result) => ({
+  // Timed attempts are scored with the time they took
+  score: result.timedScore ?? result.score,
+  // Revealing the solution doesn't count as solving the puzzle
+  isCorrect: result.isCorrect && !result.solutionRevealed,
+  hintsUsed: result.hintsUsed ?? 0,
+  ...(typeof result.timeTakenSeconds === 'number' && { timeTakenSeconds: result.timeTakenSeconds })
+});
+
+/**
+ * Lists the submissions of an exam attempt
+ * @param {Object} record - Attempt record
+ * @param {number} maxAttempts - Submissions the puzzle allows
+ * @returns {Array} { score, isCorrect, attempt, maxAttempts, isFinal,
+ *   submittedAt } for each submission, oldest first
+ */
+export const getExamSubmissions = (record, maxAttempts) => {
+  return (record.submissions || []).map((submission, index) => ({
+    score: submission.score,
+    isCorrect: submission.isCorrect,
+    attempt: index + 1,
+    maxAttempts,
+    // A correct proof or the last allowed submission ends the exam
+    isFinal: submission.isCorrect || index + 1 >= maxAttempts,
+    submittedAt: new Date(submission.submittedAt).toISOString()
+  }));
+};
+
+/**
+ * Checks whether an exam attempt may still be submitted
+ * @param {Object} record - Attempt record
+ * @param {number} maxAttempts - Submissions the puzzle allows
+ * @returns {boolean} True until the exam has ended
+ */
+export const canSubmitExam = (record, maxAttempts) => {
+  return !getExamSubmissions(record, maxAttempts).some(submission => submission.isFinal);
+};
+
+/**
+ * Grades an exam submission and adds it to the attempt. Check canSubmitExam
+ * first.
+ * @param {Object} validator - ProofValidator of the puzzle
+ * @param {Array} order - Block IDs in the order the student placed them
+ * @param {Object} attempt - As for gradeAttempt
+ * @param {Object} record - Exam attempt record, updated in place
+ * @returns {Object} The grade, without hints or details, and the fields of
+ *   the submission (see getExamSubmissions)
+ */
+export const submitExam = (validator, order, attempt, record) => {
+  const result = toStudentResult(gradeAttempt(validator, order, attempt, record), record);
+  // Exam submissions get a grade, not directions to the answer
+  delete result.hint;
+  delete result.details;
+
+  record.submissions.push({ score: result.score, isCorrect: result.isCorrect, submittedAt: new Date() });
+  return { ...result, ...getExamSubmissions(record, validator.maxAttempts).at(-1) };
+};
+
+/**
+ * Builds the solution shown when a student reveals it, filled in so that it
+ * grades as correct
+ * @param {Object} puzzle - Puzzle with its solution
+ * @returns {Object} { solutionOrder, depths, justifications, selections },
+ *   the last three keyed by block ID
+ */
+export const getRevealedSolution = (puzzle) => {
+  const depths = Object.fromEntries(
+    puzzle.blocks.map(block => [block.id, block.depth || 0])
+  );
+
+  const justifications = Object.fromEntries(
+    puzzle.blocks
+      .filter(block => getAcceptedJustifications(block).length > 0)
+      .map(block => [block.id, getAcceptedJustifications(block)[0]])
+  );
+
+  // The first accepted value of each placeholder
+  const selections = Object.fromEntries(
+    puzzle.blocks
+      .filter(block => block.expectedSelections)
+      .map(block => [block.id, Object.fromEntries(
+        Object.entries(block.expectedSelections).map(([key, accepted]) => [key, [].concat(accepted)[0]])
+      )])
+  );
+
+  return { solutionOrder: puzzle.solutionOrder, depths, justifications, selections };
+};
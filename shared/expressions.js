@@ -0,0 +1,405 @@
+/**
+ * Equivalence checking for free-response `{{input}}` placeholders
+ *
+ * Students type an expression in LaTeX or plain ASCII, e.g. `(k+1)(k+2)/2`
+ * or `\frac{(k+1)(k+2)}{2}`. Both are normalised to the same ASCII form.
+ * Expressions with equal normalised forms are equivalent; otherwise both are
+ * evaluated at a fixed set of pseudo-random points and compared numerically.
+ * The points are fractional, so terms like sin(pi*k) that vanish at whole
+ * numbers are caught; only expressions with factorials are sampled at whole
+ * numbers. Everything runs offline, so the browser and the server agree.
+ *
+ * Supported: numbers, single-letter variables (optionally subscripted, e.g.
+ * `a_n`), + - * / ^, implicit multiplication, factorials, `pi` and the
+ * functions sqrt, log (natural, or `log_b` for base b), ln, exp, sin, cos
+ * and tan.
+ */
+
+// Functions students may use
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  log: Math.log,
+  exp: Math.exp,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  ln: Math.log
+};
+
+// Longest names first, so `sqrt` isn't read as s*q*r*t
+const FUNCTION_NAMES = Object.keys(FUNCTIONS).sort((a, b) => b.length - a.length);
+
+// Points each comparison is evaluated at, and how many must be defined
+const SAMPLE_POINTS = 8;
+const MIN_DEFINED_POINTS = 3;
+
+// Longest expression parsed, which also bounds how deeply it can nest
+export const MAX_EXPRESSION_LENGTH = 200;
+
+// Relative difference below which two values count as equal
+const TOLERANCE = 1e-9;
+
+/**
+ * Reads the brace group starting at `start`, e.g. `{k+1}`
+ * @returns {Object|null} { content, end } with end just past the closing brace
+ */
+const readGroup = (text, start) => {
+  if (text[start] !== '{') return null;
+
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}') depth--;
+    if (depth === 0) {
+      return { content: text.slice(start + 1, i), end: i + 1 };
+    }
+  }
+  return null;
+};
+
+// Sticky patterns, matched at lastIndex instead of on a copy of the rest
+const FRAC_PATTERN = /\\[dt]?frac/y;
+const NUMBER_PATTERN = /\d+(\.\d+)?|\.\d+/y;
+const LOG_BASE_PATTERN = /_(\[([^\]]*)\]|([a-zA-Z0-9]))/y;
+const VARIABLE_PATTERN = /[a-zA-Z](_\[[^\]]*\]|_[a-zA-Z0-9])?/y;
+
+// Matches a sticky pattern at the given index
+const matchAt = (pattern, text, index) => {
+  pattern.lastIndex = index;
+  return pattern.exec(text);
+};
+
+/**
+ * Rewrites `\frac{a}{b}` and `\sqrt{a}` (and `\sqrt[n]{a}`) as ASCII
+ */
+const replaceCommands = (text) => {
+  let result = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const frac = matchAt(FRAC_PATTERN, text, i);
+    if (frac) {
+      const numerator = readGroup(text, i + frac[0].length);
+      const denominator = numerator && readGroup(text, numerator.end);
+      if (denominator) {
+        result += `((${replaceCommands(numerator.content)})/(${replaceCommands(denominator.content)}))`;
+        i = denominator.end;
+        continue;
+      }
+    }
+
+    if (text.startsWith('\\sqrt', i)) {
+      let next = i + '\\sqrt'.length;
+      let root = null;
+      if (text[next] === '[') {
+        const close = text.indexOf(']', next);
+        if (close !== -1) {
+          root = text.slice(next + 1, close);
+          next = close + 1;
+        }
+      }
+      const radicand = readGroup(text, next);
+      if (radicand) {
+        const inner = replaceCommands(radicand.content);
+        result += root ? `((${inner})^(1/(${root})))` : `sqrt(${inner})`;
+        i = radicand.end;
+        continue;
+      }
+    }
+
+    result += text[i];
+    i++;
+  }
+
+  return result;
+};
+
+/**
+ * Normalises a LaTeX or ASCII expression to compact ASCII
+ * @param {string} input - Expression as typed
+ * @returns {string} Normalised expression, e.g. `(k+1)(k+2)/2`
+ */
+export const normalizeExpression = (input = '') => {
+  let text = String(input).trim().replace(/^\$+|\$+$/g, '').replace(/^=/, '');
+
+  text = text
+    .replace(/\\left|\\right/g, '')
+    .replace(/\\[,;:! ]/g, '')
+    .replace(/\\(cdot|times|ast)/g, '*')
+    .replace(/\\div/g, '/')
+    .replace(/\\(sqrt|log|ln|exp|sin|cos|tan|pi)(?![a-zA-Z])/g, (match, name) => name === 'sqrt' ? match : name);
+
+  text = replaceCommands(text)
+    .replace(/\\sqrt/g, 'sqrt')
+    .replace(/\*\*/g, '^')
+    .replace(/\s+/g, '');
+
+  // Keep subscripts with their variable, e.g. a_{n+1}, and use parentheses
+  // for every other group
+  text = text.replace(/_\{([^{}]*)\}/g, '_[$1]').replace(/[{]/g, '(').replace(/[}]/g, ')');
+
+  return text;
+};
+
+/**
+ * Splits a normalised expression into tokens
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const number = matchAt(NUMBER_PATTERN, text, i);
+
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    if (text.startsWith('pi', i)) {
+      tokens.push({ type: 'number', value: Math.PI });
+      i += 2;
+      continue;
+    }
+
+    const name = FUNCTION_NAMES.find(fn => text.startsWith(fn, i));
+    if (name) {
+      // log_b is the logarithm to base b
+      const base = name === 'log' ? matchAt(LOG_BASE_PATTERN, text, i + name.length) : null;
+      tokens.push({ type: 'function', value: name, base: base ? (base[2] ?? base[3]) : null });
+      i += name.length + (base ? base[0].length : 0);
+      continue;
+    }
+
+    // A single letter is a variable, so `nk` is n times k
+    const variable = matchAt(VARIABLE_PATTERN, text, i);
+    if (variable) {
+      tokens.push({ type: 'variable', value: variable[0] });
+      i += variable[0].length;
+      continue;
+    }
+
+    if ('+-*/^()!'.includes(text[i])) {
+      tokens.push({ type: text[i] });
+      i++;
+      continue;
+    }
+
+    throw new Error(`Unexpected "${text[i]}" in expression`);
+  }
+
+  return tokens;
+};
+
+const factorial = (n) => {
+  if (!Number.isInteger(n) || n < 0 || n > 170) return NaN;
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+};
+
+/**
+ * Recursive-descent parser that compiles tokens into an evaluator
+ * @returns {Function} (scope) => number
+ */
+const compile = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position];
+  const take = (type) => {
+    if (peek()?.type !== type) {
+      throw new Error(`Expected "${type}" in expression`);
+    }
+    return tokens[position++];
+  };
+  const startsFactor = (token) => token && ['number', 'variable', 'function', '('].includes(token.type);
+
+  // expression := term (('+' | '-') term)*
+  const expression = () => {
+    let left = term();
+    while (peek()?.type === '+' || peek()?.type === '-') {
+      const op = tokens[position++].type;
+      const right = term();
+      const previous = left;
+      left = op === '+' ? (scope) => previous(scope) + right(scope) : (scope) => previous(scope) - right(scope);
+    }
+    return left;
+  };
+
+  // term := unary (('*' | '/')? unary)*, where a missing operator multiplies
+  const term = () => {
+    let left = unary();
+    while (peek()?.type === '*' || peek()?.type === '/' || startsFactor(peek())) {
+      const op = peek().type === '/' ? '/' : '*';
+      if (peek().type === '*' || peek().type === '/') position++;
+      const right = unary();
+      const previous = left;
+      left = op === '*' ? (scope) => previous(scope) * right(scope) : (scope) => previous(scope) / right(scope);
+    }
+    return left;
+  };
+
+  // unary := ('-' | '+') unary | power
+  const unary = () => {
+    if (peek()?.type === '-') {
+      position++;
+      const operand = unary();
+      return (scope) => -operand(scope);
+    }
+    if (peek()?.type === '+') {
+      position++;
+      return unary();
+    }
+    return power();
+  };
+
+  // power := postfix ('^' unary)?, right-associative
+  const power = () => {
+    const base = postfix();
+    if (peek()?.type === '^') {
+      position++;
+      const exponent = unary();
+      return (scope) => Math.pow(base(scope), exponent(scope));
+    }
+    return base;
+  };
+
+  // postfix := primary '!'*
+  const postfix = () => {
+    let operand = primary();
+    while (peek()?.type === '!') {
+      position++;
+      const previous = operand;
+      operand = (scope) => factorial(previous(scope));
+    }
+    return operand;
+  };
+
+  // primary := number | variable | function argument | '(' expression ')'
+  const primary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Expression ended unexpectedly');
+    }
+
+    if (token.type === 'number') {
+      position++;
+      return () => token.value;
+    }
+
+    if (token.type === 'variable') {
+      position++;
+      return (scope) => scope[token.value];
+    }
+
+    if (token.type === 'function') {
+      position++;
+      const fn = FUNCTIONS[token.value];
+      const base = token.base ? compile(tokenize(token.base)) : null;
+      const argument = power();
+      return base ? (scope) => fn(argument(scope)) / fn(base(scope)) : (scope) => fn(argument(scope));
+    }
+
+    take('(');
+    const inner = expression();
+    take(')');
+    return inner;
+  };
+
+  const evaluate = expression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].type}" in expression`);
+  }
+  return evaluate;
+};
+
+/**
+ * Parses an expression into an evaluator
+ * @param {string} input - LaTeX or ASCII expression
+ * @returns {Object} { normalized, variables, hasFactorial, evaluate(scope) }
+ */
+export const parseExpression = (input) => {
+  if (String(input).length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const normalized = normalizeExpression(input);
+  if (!normalized) {
+    throw new Error('Expression is empty');
+  }
+
+  const tokens = tokenize(normalized);
+  return {
+    normalized,
+    variables: [...new Set(tokens.filter(token => token.type === 'variable').map(token => token.value))],
+    hasFactorial: tokens.some(token => token.type === '!'),
+    evaluate: compile(tokens)
+  };
+};
+
+/**
+ * Checks whether an expression can be parsed
+ * @param {string} input - LaTeX or ASCII expression
+ * @returns {boolean} True if it parses
+ */
+export const isValidExpression = (input) => {
+  try {
+    parseExpression(input);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Small seeded generator so every run samples the same points
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const isClose = (a, b) => Math.abs(a - b) <= TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+
+/**
+ * Checks whether two expressions are equivalent
+ * @param {string} actual - Expression the student typed
+ * @param {string} expected - Expression the author expects
+ * @returns {boolean} True if they are equal as written or at every sample point
+ */
+export const areEquivalent = (actual, expected) => {
+  try {
+    const student = parseExpression(actual);
+    const answer = parseExpression(expected);
+
+    if (student.normalized === answer.normalized) {
+      return true;
+    }
+
+    // Sample between 2 and 12, away from the poles of most proof formulas.
+    // Factorials need whole numbers; everything else gets fractional points,
+    // so expressions that only agree at integers don't pass.
+    const random = createRandom(2024);
+    const sample = student.hasFactorial || answer.hasFactorial
+      ? () => 2 + Math.floor(random() * 11)
+      : () => 2 + random() * 10;
+    const variables = [...new Set([...student.variables, ...answer.variables])];
+    let definedPoints = 0;
+
+    for (let i = 0; i < SAMPLE_POINTS; i++) {
+      const scope = Object.fromEntries(variables.map(name => [name, sample()]));
+      const a = student.evaluate(scope);
+      const b = answer.evaluate(scope);
+
+      if (!Number.isFinite(a) && !Number.isFinite(b)) continue;
+      if (!Number.isFinite(a) || !Number.isFinite(b) || !isClose(a, b)) {
+        return false;
+      }
+      definedPoints++;
+    }
+
+    return definedPoints >= MIN_DEFINED_POINTS;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,84 @@
+/**
+ * Helpers for scaffolded puzzles
+ *
+ * Blocks marked `given: true` are placed in the workspace for the student,
+ * at their slot in `solutionOrder`, and can't be moved. They don't count
+ * towards the score. With `fadeGivens`, one fewer given is placed each time
+ * the student starts the puzzle over, from the last one backwards, until the
+ * whole proof is theirs to build.
+ *
+ * Puzzles served to students don't carry `solutionOrder`, and a given's slot
+ * would tell them how many steps come before it. The server only gives each
+ * given block its `givenOrder` among the givens: they start out in that order
+ * and the student builds the proof around them.
+ */
+
+const hasSolutionOrder = (puzzle) => Array.isArray(puzzle?.solutionOrder);
+
+/**
+ * Gets the slot a given block belongs in
+ * @param {Object} puzzle - Puzzle with solutionOrder
+ * @param {Object} block - A given block
+ * @returns {number} Position in the solution, or -1 if unknown, as it is in
+ *   student copies
+ */
+export const getGivenPosition = (puzzle, block) => {
+  return hasSolutionOrder(puzzle) ? puzzle.solutionOrder.indexOf(block.id) : -1;
+};
+
+// Where a given comes among the givens: its slot, or in a student copy its
+// givenOrder
+const getGivenRank = (puzzle, block) => {
+  const rank = hasSolutionOrder(puzzle) ? getGivenPosition(puzzle, block) : block.givenOrder;
+  return Number.isInteger(rank) ? rank : -1;
+};
+
+/**
+ * Lists the given blocks of a puzzle in proof order
+ * @param {Object} puzzle - Puzzle with blocks
+ * @returns {Array} Given blocks
+ */
+export const getGivenBlocks = (puzzle) => {
+  return (puzzle?.blocks || [])
+    .filter(block => block.given && getGivenRank(puzzle, block) >= 0)
+    .sort((a, b) => getGivenRank(puzzle, a) - getGivenRank(puzzle, b));
+};
+
+/**
+ * Picks the givens placed for an attempt, fading them when the puzzle asks to
+ * @param {Object} puzzle - Puzzle with blocks
+ * @param {number} [attemptNumber] - Times the student has started over
+ * @returns {Array} Given blocks to place in the workspace
+ */
+export const getActiveGivens = (puzzle, attemptNumber = 0) => {
+  const givens = getGivenBlocks(puzzle);
+  return puzzle?.fadeGivens
+    ? givens.slice(0, Math.max(0, givens.length - attemptNumber))
+    : givens;
+};
+
+/**
+ * Pins the givens to their slots among the student's steps. A slot past the
+ * end of a short proof is taken as the end, so a given conclusion stays last.
+ * Student copies don't know the slots, so there givens keep their place among
+ * the steps and any that aren't placed yet go at the end.
+ * @param {Array} steps - Blocks in the workspace, in order
+ * @param {Array} givens - Given blocks in proof order
+ * @param {Object} puzzle - Puzzle the blocks belong to
+ * @returns {Array} Blocks with the givens in place
+ */
+export const placeGivens = (steps, givens, puzzle) => {
+  if (!hasSolutionOrder(puzzle)) {
+    const stepIds = new Set(steps.map(step => step.id));
+    return [...steps, ...givens.filter(block => !stepIds.has(block.id))];
+  }
+
+  const givenIds = new Set(givens.map(block => block.id));
+  const placed = steps.filter(step => !givenIds.has(step.id));
+
+  givens.forEach(block => {
+    placed.splice(Math.min(getGivenPosition(puzzle, block), placed.length), 0, block);
+  });
+
+  return placed;
+};
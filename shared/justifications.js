@@ -0,0 +1,70 @@
+/**
+ * Helpers for two-column proofs
+ *
+ * In a two-column proof every statement is paired with the reason it holds,
+ * e.g. "Inductive Hypothesis" or "Distributive Law". A block declares the
+ * `justification` it expects (or an array of accepted ones), and the puzzle
+ * may list further reasons in `justificationPool`, usually dictionary terms
+ * that don't apply, so the answer isn't simply what's left over.
+ *
+ * Puzzles served to students don't carry block justifications, only the
+ * merged `justificationPool` and an `isTwoColumn` flag.
+ */
+
+/**
+ * Compares reasons ignoring case and surrounding spaces
+ */
+const normalizeReason = (reason) => String(reason ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Lists the reasons a block accepts
+ * @param {Object} block - Proof block
+ * @returns {Array} Accepted reasons, empty if the block has none
+ */
+export const getAcceptedJustifications = (block) => {
+  return [].concat(block?.justification ?? []).filter(reason => normalizeReason(reason) !== '');
+};
+
+/**
+ * Checks whether a puzzle pairs its statements with justifications
+ * @param {Object} puzzle - Puzzle with blocks
+ * @returns {boolean} True if any block expects a justification
+ */
+export const isTwoColumnPuzzle = (puzzle) => {
+  if (typeof puzzle?.isTwoColumn === 'boolean') return puzzle.isTwoColumn;
+  return (puzzle?.blocks || []).some(block => getAcceptedJustifications(block).length > 0);
+};
+
+/**
+ * Builds the pool of reasons a student picks from: the puzzle's pool plus
+ * every reason a block accepts, without duplicates, in alphabetical order
+ * so the pool doesn't give away the proof order
+ * @param {Object} puzzle - Puzzle with blocks
+ * @returns {Array} Reasons to offer
+ */
+export const getJustificationPool = (puzzle) => {
+  const pool = new Map();
+
+  [
+    ...(puzzle?.justificationPool || []),
+    ...(puzzle?.blocks || []).flatMap(getAcceptedJustifications)
+  ].forEach(reason => {
+    const key = normalizeReason(reason);
+    if (key && !pool.has(key)) {
+      pool.set(key, String(reason).trim());
+    }
+  });
+
+  return [...pool.values()].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Checks a student's reason against the ones a block accepts
+ * @param {Object} block - Proof block
+ * @param {string} reason - Reason the student attached
+ * @returns {boolean} True if the reason is accepted
+ */
+export const isAcceptedJustification = (block, reason) => {
+  const actual = normalizeReason(reason);
+  return actual !== '' && getAcceptedJustifications(block).some(accepted => normalizeReason(accepted) === actual);
+};
@@ -0,0 +1,48 @@
+/**
+ * Helpers for nested (indented) proofs
+ *
+ * Blocks may declare the `depth` they sit at in the proof, e.g. the steps of
+ * a case or of a sub-claim inside the inductive step are one level deeper
+ * than the surrounding steps. Depths start at 0 for top-level steps.
+ *
+ * Puzzles served to students don't carry block depths, only an `isNested`
+ * flag, so the indentation controls can still be shown.
+ */
+
+// Deepest indentation level a step can be given
+export const MAX_DEPTH = 3;
+
+/**
+ * Checks whether a puzzle grades the indentation of its steps
+ * @param {Object} puzzle - Puzzle with blocks
+ * @returns {boolean} True if any block is expected below the top level
+ */
+export const isNestedPuzzle = (puzzle) => {
+  if (typeof puzzle?.isNested === 'boolean') return puzzle.isNested;
+  return (puzzle?.blocks || []).some(block => block.depth > 0);
+};
+
+/**
+ * Keeps a depth within the allowed range
+ * @param {number} depth - Requested depth
+ * @returns {number} Depth between 0 and MAX_DEPTH
+ */
+export const clampDepth = (depth) => Math.max(0, Math.min(MAX_DEPTH, depth));
+
+/**
+ * Builds structured step numbers such as 1, 2, 2.1, 2.2, 3. A step can only
+ * open one level below the step before it, so skipped levels are numbered as
+ * the next level down.
+ * @param {Array} depths - Depth of each step in order
+ * @returns {Array} Step number labels
+ */
+export const getStepNumbers = (depths) => {
+  const counters = [];
+
+  return depths.map(depth => {
+    const level = Math.min(depth, counters.length);
+    counters.length = level + 1;
+    counters[level] = (counters[level] || 0) + 1;
+    return counters.join('.');
+  });
+};
@@ -0,0 +1,54 @@
+/**
+ * Helpers for paired distractors
+ *
+ * `pairedDistractors` lists pairs of near-identical blocks, e.g. `\le` vs `<`
+ * or `n_0 = 1` vs `n_0 = 0`, where one is a step of the proof and its twin is
+ * a distractor. Students see the twins side by side and may use only one.
+ *
+ * Pairs don't mark which twin is right, but the order of a pair could: the
+ * educator tools save the twins sorted by ID, and students get each pair
+ * sorted by the opaque IDs they see (see server/models/Puzzle.js).
+ */
+
+/**
+ * Maps each paired block to its twin
+ * @param {Object} puzzle - Puzzle with pairedDistractors
+ * @returns {Map} Block ID -> twin block ID
+ */
+export const getTwins = (puzzle) => {
+  const twins = new Map();
+
+  (puzzle?.pairedDistractors || []).forEach(pair => {
+    if (!Array.isArray(pair) || pair.length !== 2) return;
+
+    const [first, second] = pair;
+    twins.set(first, second);
+    twins.set(second, first);
+  });
+
+  return twins;
+};
+
+/**
+ * Orders blocks so every twin follows its partner, keeping the first twin's
+ * place, and groups them for display
+ * @param {Array} blocks - Blocks in display order
+ * @param {Map} twins - Result of getTwins
+ * @returns {Array} Groups of one block, or two twins
+ */
+export const groupTwins = (blocks, twins) => {
+  const byId = new Map(blocks.map(block => [block.id, block]));
+  const placed = new Set();
+  const groups = [];
+
+  blocks.forEach(block => {
+    if (placed.has(block.id)) return;
+
+    const twin = byId.get(twins.get(block.id));
+    const group = twin ? [block, twin] : [block];
+    group.forEach(member => placed.add(member.id));
+    groups.push(group);
+  });
+
+  return groups;
+};
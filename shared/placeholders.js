@@ -0,0 +1,136 @@
+/**
+ * Placeholder helpers shared by KatexRenderer and ProofValidator
+ *
+ * Blocks may contain placeholders such as `{{op}}` or `{{quantifier}}`. Each
+ * placeholder instance is identified by a unique key `${type}_${index}`, where
+ * index counts every placeholder in the block from left to right, e.g.
+ * `{{quantifier}} n {{op}} 1` has the keys `quantifier_0` and `op_1`.
+ *
+ * `{{input}}` is a free-response blank: the student types an expression,
+ * which is graded by equivalence (see expressions.js) instead of a dropdown.
+ */
+
+export const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+// Placeholder type of free-response blanks
+export const INPUT_PLACEHOLDER = 'input';
+
+// Shown in a blank the student hasn't filled in yet
+const EMPTY_INPUT_LATEX = '\\square';
+
+/**
+ * Human-readable names for placeholder types
+ */
+export const PLACEHOLDER_LABELS = {
+  op: 'operator',
+  quantifier: 'quantifier',
+  set: 'set relation',
+  setop: 'set relation',
+  logic: 'logical connective',
+  complexity: 'asymptotic notation',
+  input: 'expression'
+};
+
+/**
+ * Gets the dropdown options for a placeholder type
+ * @param {string} type - Placeholder type, e.g. 'op'
+ * @returns {Array} Array of [value, label] pairs
+ */
+export const getPlaceholderOptions = (type) => {
+  switch (type) {
+    case 'op':
+      return [
+        ['<', '<'],
+        ['\\leq', '≤'],
+        ['=', '='],
+        ['\\geq', '≥'],
+        ['>', '>'],
+        ['\\neq', '≠']
+      ];
+    case 'quantifier':
+      return [
+        ['\\forall', '∀ (for all)'],
+        ['\\exists', '∃ (exists)'],
+        ['\\exists!', '∃! (exactly one)'],
+        ['\\nexists', '∄ (does not exist)']
+      ];
+    case 'set':
+    case 'setop':
+      return [
+        ['\\in', '∈ (element of)'],
+        ['\\notin', '∉ (not element of)'],
+        ['\\subset', '⊂ (proper subset)'],
+        ['\\subseteq', '⊆ (subset)'],
+        ['\\supset', '⊃ (proper superset)'],
+        ['\\supseteq', '⊇ (superset)'],
+        ['\\emptyset', '∅ (empty set)']
+      ];
+    case 'logic':
+      return [
+        ['\\land', '∧ (and)'],
+        ['\\lor', '∨ (or)'],
+        ['\\neg', '¬ (not)']
+      ];
+    case 'complexity':
+      return [
+        ['O', 'O (upper bound)'],
+        ['\\Omega', 'Ω (lower bound)'],
+        ['\\Theta', 'Θ (tight bound)']
+      ];
+    case INPUT_PLACEHOLDER:
+      return [];
+    default:
+      return [['', 'Select...']];
+  }
+};
+
+/**
+ * Gets the value a placeholder shows before the student picks one
+ * @param {string} type - Placeholder type
+ * @returns {string} The first option's value, or '' for free-response blanks
+ */
+export const getDefaultPlaceholderValue = (type) => getPlaceholderOptions(type)[0]?.[0] ?? '';
+
+/**
+ * Gets the display label for a placeholder value
+ * @param {string} type - Placeholder type
+ * @param {string} value - Selected LaTeX value
+ * @returns {string} The option label, or the raw value if unknown
+ */
+export const getPlaceholderLabel = (type, value) => {
+  const option = getPlaceholderOptions(type).find(([optionValue]) => optionValue === value);
+  return option ? option[1] : value;
+};
+
+/**
+ * Lists the placeholder instances in a LaTeX string
+ * @param {string} latex - LaTeX content with placeholders
+ * @returns {Array} Array of { key, type, index, match, start }
+ */
+export const getPlaceholders = (latex = '') => {
+  return [...latex.matchAll(PLACEHOLDER_PATTERN)].map((match, index) => ({
+    key: `${match[1]}_${index}`,
+    type: match[1],
+    index,
+    match: match[0],
+    start: match.index
+  }));
+};
+
+/**
+ * Replaces every placeholder with its selected (or default) value
+ * @param {string} latex - LaTeX content with placeholders
+ * @param {Object} selections - Map of unique key -> selected value
+ * @returns {string} Plain LaTeX
+ */
+export const substitutePlaceholders = (latex = '', selections = {}) => {
+  let processedLatex = latex;
+
+  getPlaceholders(latex).forEach(({ key, type, match }) => {
+    const value = selections[key] ||
+      (type === INPUT_PLACEHOLDER ? EMPTY_INPUT_LATEX : getDefaultPlaceholderValue(type));
+    processedLatex = processedLatex.replace(match, value);
+  });
+
+  return processedLatex;
+};
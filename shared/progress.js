@@ -0,0 +1,93 @@
+/**
+ * Per-student progress records
+ *
+ * A record sums up a student's attempts at one puzzle: whether it was ever
+ * solved, the best score, how many attempts were made and the hints and time
+ * they took, plus the most recent attempts and the puzzle's review schedule
+ * (see review.js). The browser keeps records in localStorage and the server
+ * under /api/progress; both fold attempts in with applyAttempt, so they agree.
+ */
+import { applyReview } from './review.js';
+
+// Attempts kept in a record's history
+export const MAX_HISTORY = 20;
+
+/**
+ * Creates the record of a puzzle that hasn't been attempted
+ * @param {string} puzzleId - Puzzle the record belongs to
+ * @returns {Object} Empty progress record
+ */
+export const createProgressRecord = (puzzleId) => ({
+  puzzleId,
+  solved: false,
+  bestScore: 0,
+  attempts: 0,
+  hintsUsed: 0,
+  timeSpentSeconds: 0,
+  lastAttemptAt: null,
+  history: [],
+  review: null
+});
+
+const toCount = (value) => Math.max(0, Math.round(Number(value) || 0));
+
+/**
+ * Cleans up an attempt reported by a client
+ * @param {Object} attempt - { score, isCorrect, hintsUsed, timeSpentSeconds, mode, submittedAt }
+ * @returns {Object} Attempt with every field in range
+ */
+export const normalizeAttempt = (attempt = {}) => {
+  const submittedAt = new Date(attempt.submittedAt ?? Date.now());
+
+  return {
+    score: Math.min(100, toCount(attempt.score)),
+    isCorrect: attempt.isCorrect === true,
+    hintsUsed: toCount(attempt.hintsUsed),
+    timeSpentSeconds: toCount(attempt.timeSpentSeconds),
+    mode: ['exam', 'timed'].includes(attempt.mode) ? attempt.mode : 'practice',
+    submittedAt: (isNaN(submittedAt) ? new Date() : submittedAt).toISOString()
+  };
+};
+
+/**
+ * Folds an attempt into a progress record
+ * @param {Object} record - Current record, e.g. from createProgressRecord
+ * @param {Object} attempt - Finished attempt
+ * @returns {Object} New record
+ */
+export const applyAttempt = (record, attempt) => {
+  const entry = normalizeAttempt(attempt);
+
+  return {
+    ...record,
+    solved: record.solved || entry.isCorrect,
+    bestScore: Math.max(record.bestScore, entry.score),
+    attempts: record.attempts + 1,
+    hintsUsed: record.hintsUsed + entry.hintsUsed,
+    timeSpentSeconds: record.timeSpentSeconds + entry.timeSpentSeconds,
+    lastAttemptAt: entry.submittedAt,
+    history: [...record.history, entry].slice(-MAX_HISTORY),
+    review: applyReview(record.review ?? null, entry)
+  };
+};
+
+/**
+ * Sums up progress over a set of puzzles
+ * @param {Object} progress - Map of puzzle ID -> progress record
+ * @param {Array} puzzleIds - Puzzles to count
+ * @returns {Object} { total, solved, attempted, averageBestScore, attempts, hintsUsed, timeSpentSeconds }
+ */
+export const summarizeProgress = (progress, puzzleIds) => {
+  const records = puzzleIds.map(id => progress[id]).filter(record => record && record.attempts > 0);
+  const sum = (field) => records.reduce((total, record) => total + record[field], 0);
+
+  return {
+    total: puzzleIds.length,
+    solved: records.filter(record => record.solved).length,
+    attempted: records.length,
+    averageBestScore: records.length > 0 ? Math.round(sum('bestScore') / records.length) : 0,
+    attempts: sum('attempts'),
+    hintsUsed: sum('hintsUsed'),
+    timeSpentSeconds: sum('timeSpentSeconds')
+  };
+};
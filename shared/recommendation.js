@@ -0,0 +1,153 @@
+/**
+ * Adaptive choice of the next puzzle
+ *
+ * A puzzle's tags are the skills it practises. A student's level at a skill
+ * is the average best score of the puzzles with that tag they have tried.
+ * The next puzzle is the one that practises the weakest skills, at a
+ * difficulty that suits the student's level. Puzzles whose skills are all
+ * mastered, or that were already solved well, are skipped while there is
+ * anything else to practise. Ties go to the puzzle that comes next in the
+ * list, so a new student works through the puzzles in order.
+ */
+
+// Level (out of 100) from which a skill counts as mastered
+export const MASTERY_SCORE = 85;
+
+// Level assumed for a skill the student hasn't tried
+const NEW_SKILL_LEVEL = 50;
+
+const DIFFICULTY_RANKS = { easy: 0, medium: 1, hard: 2 };
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Points a puzzle loses per difficulty step away from the student's level
+const DIFFICULTY_PENALTY = 15;
+
+// Points a puzzle gains for practising a skill the student is struggling
+// with, so it comes before skills they haven't tried
+const WEAK_SKILL_BONUS = 30;
+
+// Points an already-solved puzzle loses; mastered ones lose enough to go last
+const SOLVED_PENALTY = 20;
+const MASTERED_PENALTY = 200;
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const formatSkills = (skills) => {
+  const names = skills.map(skill => skill.replace(/-/g, ' '));
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names[0];
+};
+
+/**
+ * Works out the student's level at each skill
+ * @param {Array} puzzles - Puzzles with tags
+ * @param {Object} progress - Map of puzzle ID -> progress record
+ * @returns {Map} Skill -> level out of 100, for skills the student has tried
+ */
+export const getSkillLevels = (puzzles, progress) => {
+  const scores = new Map();
+
+  puzzles.forEach(puzzle => {
+    const record = progress?.[puzzle.id];
+    if (!record || record.attempts === 0) return;
+
+    (puzzle.tags || []).forEach(skill => {
+      scores.set(skill, [...(scores.get(skill) || []), record.bestScore]);
+    });
+  });
+
+  return new Map([...scores].map(([skill, skillScores]) => [skill, Math.round(average(skillScores))]));
+};
+
+/**
+ * Picks the difficulty that suits a level
+ * @param {number} level - Level out of 100
+ * @returns {string} 'easy', 'medium' or 'hard'
+ */
+export const getTargetDifficulty = (level) => {
+  if (level <= NEW_SKILL_LEVEL) return 'easy';
+  return level < MASTERY_SCORE ? 'medium' : 'hard';
+};
+
+// Why a puzzle was picked, in words for the student
+const explain = ({ puzzle, weakSkills, newSkills, skillLevels, isMastered, targetDifficulty }) => {
+  const difficulty = puzzle.difficulty || 'medium';
+  const pace = difficulty === targetDifficulty
+    ? ` It's ${difficulty}, which suits your level.`
+    : '';
+
+  if (isMastered) {
+    return 'You have mastered the skills of every other puzzle, so this one is for review.';
+  }
+  if (weakSkills.length > 0) {
+    const weakLevel = Math.round(average(weakSkills.map(skill => skillLevels.get(skill))));
+    return `It practises ${formatSkills(weakSkills)}, where your best scores average ${weakLevel}%.${pace}`;
+  }
+  if (newSkills.length > 0) {
+    return `It introduces ${formatSkills(newSkills)}, which you haven't tried yet.${pace}`;
+  }
+  return `It's the next puzzle you haven't solved yet.${pace}`;
+};
+
+/**
+ * Recommends the puzzle to try after the current one
+ * @param {Array} puzzles - Puzzles to choose from, in list order
+ * @param {Object} progress - Map of puzzle ID -> progress record
+ * @param {string} [currentPuzzleId] - Puzzle the student is on, which isn't recommended
+ * @returns {Object|null} { puzzle, reason, skills }, or null if there is no other puzzle
+ */
+export const recommendNextPuzzle = (puzzles, progress, currentPuzzleId) => {
+  const skillLevels = getSkillLevels(puzzles, progress);
+  const currentIndex = puzzles.findIndex(puzzle => puzzle.id === currentPuzzleId);
+
+  const candidates = puzzles
+    .map((puzzle, index) => ({ puzzle, index }))
+    .filter(({ puzzle }) => puzzle.id !== currentPuzzleId)
+    .map(({ puzzle, index }) => {
+      const record = progress?.[puzzle.id];
+      const skills = puzzle.tags || [];
+      const weakSkills = skills.filter(skill => skillLevels.get(skill) < MASTERY_SCORE);
+      const newSkills = skills.filter(skill => !skillLevels.has(skill));
+      const level = Math.round(skills.length > 0
+        ? average(skills.map(skill => skillLevels.get(skill) ?? NEW_SKILL_LEVEL))
+        : NEW_SKILL_LEVEL);
+      const targetDifficulty = getTargetDifficulty(level);
+
+      const skillsMastered = skills.length > 0 && weakSkills.length === 0 && newSkills.length === 0;
+      const solvedWell = Boolean(record?.solved) && record.bestScore >= MASTERY_SCORE;
+      const difficultyGap = Math.abs(
+        (DIFFICULTY_RANKS[puzzle.difficulty] ?? 1) - DIFFICULTIES.indexOf(targetDifficulty)
+      );
+
+      let priority = (100 - level) - DIFFICULTY_PENALTY * difficultyGap +
+        (weakSkills.length > 0 ? WEAK_SKILL_BONUS : 0);
+      if (skillsMastered || solvedWell) {
+        priority -= MASTERED_PENALTY;
+      } else if (record?.solved) {
+        priority -= SOLVED_PENALTY;
+      }
+
+      return {
+        puzzle,
+        weakSkills,
+        newSkills,
+        skillLevels,
+        targetDifficulty,
+        isMastered: skillsMastered || solvedWell,
+        priority,
+        // Places after the current puzzle, wrapping around
+        distance: (index - currentIndex + puzzles.length) % puzzles.length
+      };
+    });
+
+  if (candidates.length === 0) return null;
+
+  const [best] = candidates.sort((a, b) => b.priority - a.priority || a.distance - b.distance);
+
+  return {
+    puzzle: best.puzzle,
+    reason: explain(best),
+    skills: best.weakSkills.length > 0 ? best.weakSkills : best.newSkills
+  };
+};
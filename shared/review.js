@@ -0,0 +1,110 @@
+/**
+ * Spaced-repetition reviews of solved puzzles
+ *
+ * Scheduling follows SM-2. A puzzle joins the review queue the first time it
+ * is solved, and comes back after growing intervals: 1 day, then 6, then the
+ * last interval times the puzzle's easiness. Each review is graded 0-5 from
+ * the score and the hints used. Good reviews raise the easiness, so the
+ * intervals grow faster; a failed review starts the intervals over.
+ *
+ * Only attempts made once a review is due change the schedule, so solving a
+ * puzzle again the same day doesn't push it months away. The schedule is
+ * kept in the `review` field of the puzzle's progress record.
+ */
+
+// Easiness of a puzzle that hasn't been reviewed, and the lowest it can go
+export const INITIAL_EASINESS = 2.5;
+export const MIN_EASINESS = 1.3;
+
+// Lowest grade that counts as remembering the proof
+export const PASSING_QUALITY = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Grades an attempt 0-5, as SM-2 does a review
+ * @param {Object} attempt - { score, isCorrect, hintsUsed }
+ * @returns {number} 5 for a perfect recall down to 0 for none
+ */
+export const getReviewQuality = ({ score = 0, isCorrect = false, hintsUsed = 0 }) => {
+  if (!isCorrect) {
+    if (score >= 50) return 2;
+    return score > 0 ? 1 : 0;
+  }
+
+  const recall = score >= 95 ? 5 : score >= 80 ? 4 : 3;
+  return Math.max(PASSING_QUALITY, recall - Math.min(2, hintsUsed));
+};
+
+/**
+ * Schedules the next review after a graded one
+ * @param {Object|null} review - { easiness, repetitions, intervalDays, dueAt, lastReviewedAt }, or null for a new one
+ * @param {number} quality - Grade from getReviewQuality
+ * @param {string} reviewedAt - ISO date of the review
+ * @returns {Object} Updated review
+ */
+export const scheduleReview = (review, quality, reviewedAt) => {
+  const easiness = review?.easiness ?? INITIAL_EASINESS;
+  const repetitions = review?.repetitions ?? 0;
+  const passed = quality >= PASSING_QUALITY;
+
+  let intervalDays = 1;
+  if (passed && repetitions === 1) {
+    intervalDays = 6;
+  } else if (passed && repetitions > 1) {
+    intervalDays = Math.round(review.intervalDays * easiness);
+  }
+
+  const nextEasiness = easiness + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+
+  return {
+    easiness: Math.max(MIN_EASINESS, Math.round(nextEasiness * 100) / 100),
+    repetitions: passed ? repetitions + 1 : 0,
+    intervalDays,
+    dueAt: new Date(new Date(reviewedAt).getTime() + intervalDays * DAY_MS).toISOString(),
+    lastReviewedAt: reviewedAt
+  };
+};
+
+/**
+ * Updates a puzzle's review schedule with an attempt
+ * @param {Object|null} review - Current schedule, or null if the puzzle isn't in the queue
+ * @param {Object} attempt - Normalized attempt, with submittedAt
+ * @returns {Object|null} New schedule
+ */
+export const applyReview = (review, attempt) => {
+  if (!review) {
+    return attempt.isCorrect ? scheduleReview(null, getReviewQuality(attempt), attempt.submittedAt) : null;
+  }
+  if (new Date(attempt.submittedAt) < new Date(review.dueAt)) {
+    return review;
+  }
+  return scheduleReview(review, getReviewQuality(attempt), attempt.submittedAt);
+};
+
+/**
+ * Lists the puzzles due for review, most overdue first
+ * @param {Object} progress - Map of puzzle ID -> progress record
+ * @param {Date} [now] - Time to check against
+ * @returns {Array} [{ puzzleId, dueAt, intervalDays }]
+ */
+export const getDueReviews = (progress, now = new Date()) => {
+  return Object.values(progress || {})
+    .filter(record => record.review && new Date(record.review.dueAt) <= now)
+    .map(record => ({ puzzleId: record.puzzleId, dueAt: record.review.dueAt, intervalDays: record.review.intervalDays }))
+    .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+};
+
+/**
+ * Finds the review that comes up next
+ * @param {Object} progress - Map of puzzle ID -> progress record
+ * @param {Date} [now] - Time to check against
+ * @returns {Object|null} { puzzleId, dueAt }, or null if none is scheduled
+ */
+export const getNextReview = (progress, now = new Date()) => {
+  const upcoming = Object.values(progress || {})
+    .filter(record => record.review && new Date(record.review.dueAt) > now)
+    .sort((a, b) => new Date(a.review.dueAt) - new Date(b.review.dueAt));
+
+  return upcoming.length > 0 ? { puzzleId: upcoming[0].puzzleId, dueAt: upcoming[0].review.dueAt } : null;
+};
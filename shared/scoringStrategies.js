@@ -0,0 +1,89 @@
+/**
+ * Scoring strategies for ProofValidator
+ *
+ * A strategy measures how well the order of the student's steps matches the
+ * valid order closest to it. `orderCredit` returns a fraction between 0 and 1
+ * of the order part of the score; presence of the right blocks and penalties
+ * for extras and distractors are scored by ProofValidator itself.
+ *
+ * Puzzles choose a strategy with `scoringStrategy`; the default is positional.
+ */
+
+/**
+ * Length of the longest common subsequence of two block ID lists
+ * @param {Array} a - First list
+ * @param {Array} b - Second list
+ * @returns {number} LCS length
+ */
+const longestCommonSubsequence = (a, b) => {
+  let previous = new Array(b.length + 1).fill(0);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Array(b.length + 1).fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1] + 1
+        : Math.max(previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+export const SCORING_STRATEGIES = {
+  positional: {
+    id: 'positional',
+    label: 'Exact positions',
+    description: 'Credit for each step placed at exactly the right position.',
+    orderCredit: (userSteps, targetOrder) => {
+      const matches = userSteps.filter((blockId, index) => blockId === targetOrder[index]).length;
+      return targetOrder.length > 0 ? matches / targetOrder.length : 0;
+    }
+  },
+  lcs: {
+    id: 'lcs',
+    label: 'Longest common subsequence',
+    description: 'Credit for the longest run of steps that are in the right relative order, even if shifted.',
+    orderCredit: (userSteps, targetOrder) => {
+      return targetOrder.length > 0
+        ? longestCommonSubsequence(userSteps, targetOrder) / targetOrder.length
+        : 0;
+    }
+  },
+  'kendall-tau': {
+    id: 'kendall-tau',
+    label: 'Kendall tau (pairwise order)',
+    description: 'Credit for every pair of placed steps that appear in the right relative order.',
+    orderCredit: (userSteps, targetOrder) => {
+      if (targetOrder.length === 0) return 0;
+
+      const rank = new Map(targetOrder.map((blockId, index) => [blockId, index]));
+      const ranks = [...new Set(userSteps)].filter(id => rank.has(id)).map(id => rank.get(id));
+
+      let pairs = 0;
+      let inversions = 0;
+      for (let i = 0; i < ranks.length; i++) {
+        for (let j = i + 1; j < ranks.length; j++) {
+          pairs++;
+          if (ranks[i] > ranks[j]) inversions++;
+        }
+      }
+
+      // Scale by coverage so a single placed step doesn't earn full credit
+      const coverage = ranks.length / targetOrder.length;
+      return coverage * (pairs > 0 ? 1 - inversions / pairs : 1);
+    }
+  }
+};
+
+export const DEFAULT_SCORING_STRATEGY = 'positional';
+
+/**
+ * Looks up a scoring strategy, falling back to the default
+ * @param {string} [id] - Strategy ID from the puzzle
+ * @returns {Object} Strategy with id, label, description and orderCredit
+ */
+export const getScoringStrategy = (id) => {
+  return SCORING_STRATEGIES[id] || SCORING_STRATEGIES[DEFAULT_SCORING_STRATEGY];
+};
@@ -0,0 +1,37 @@
+/**
+ * Helpers for timed mode
+ *
+ * In timed mode the student races a countdown of `timeLimitSeconds`, and the
+ * proof is submitted when it runs out. The accuracy score is scaled by how
+ * much of the time was used: finishing at once keeps all of it, finishing
+ * at the limit keeps TIME_WEIGHT less.
+ *
+ * The time limit doesn't give the answer away, so it is sent to students.
+ */
+
+// Time limit of puzzles that don't set one
+export const DEFAULT_TIME_LIMIT_SECONDS = 300;
+
+// Share of the score that depends on speed
+export const TIME_WEIGHT = 0.5;
+
+/**
+ * Gets the time limit of a puzzle
+ * @param {Object} puzzle - Puzzle with an optional timeLimitSeconds
+ * @returns {number} Time limit in seconds
+ */
+export const getTimeLimit = (puzzle) => {
+  return puzzle?.timeLimitSeconds > 0 ? puzzle.timeLimitSeconds : DEFAULT_TIME_LIMIT_SECONDS;
+};
+
+/**
+ * Scales an accuracy score by the time taken
+ * @param {number} score - Accuracy score out of 100
+ * @param {number} timeTakenSeconds - Time the student took
+ * @param {number} timeLimitSeconds - Time the student had
+ * @returns {number} Timed score out of 100
+ */
+export const applyTimeFactor = (score, timeTakenSeconds, timeLimitSeconds) => {
+  const timeUsed = Math.min(1, Math.max(0, timeTakenSeconds / timeLimitSeconds));
+  return Math.round(score * (1 - TIME_WEIGHT * timeUsed));
+};
@@ -0,0 +1,91 @@
+/**
+ * Saved workspaces of unfinished attempts
+ *
+ * When a student leaves a puzzle halfway, the arrangement they made is saved
+ * so they can pick it up again: the order of the available steps and of
+ * their proof, and the placeholder choices, indentation and justifications
+ * of each step. Only block IDs are saved, so a workspace can be rebuilt
+ * against the current version of the puzzle. The browser keeps workspaces
+ * in localStorage and the server under /api/workspaces.
+ */
+import { clampDepth } from './nesting.js';
+import { placeGivens } from './givens.js';
+
+// Most block IDs kept in either list
+export const MAX_WORKSPACE_BLOCKS = 200;
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const toIds = (ids) => {
+  return Array.isArray(ids)
+    ? [...new Set(ids.filter(id => typeof id === 'string' && id))].slice(0, MAX_WORKSPACE_BLOCKS)
+    : [];
+};
+
+const toStrings = (entries) => {
+  return isPlainObject(entries)
+    ? Object.fromEntries(Object.entries(entries).filter(([, value]) => typeof value === 'string'))
+    : {};
+};
+
+/**
+ * Cleans up a workspace reported by a client
+ * @param {Object} saved - { palette, workspace, selections, indents, justifications, savedAt }
+ * @returns {Object} Workspace with every field in shape
+ */
+export const normalizeWorkspace = (saved = {}) => {
+  const savedAt = new Date(saved.savedAt ?? Date.now());
+  const selections = isPlainObject(saved.selections) ? saved.selections : {};
+  const indents = isPlainObject(saved.indents) ? saved.indents : {};
+
+  return {
+    palette: toIds(saved.palette),
+    workspace: toIds(saved.workspace),
+    selections: Object.fromEntries(Object.entries(selections)
+      .filter(([, values]) => isPlainObject(values))
+      .map(([id, values]) => [id, toStrings(values)])),
+    indents: Object.fromEntries(Object.entries(indents)
+      .map(([id, depth]) => [id, clampDepth(Math.round(Number(depth) || 0))])),
+    justifications: toStrings(saved.justifications),
+    savedAt: (isNaN(savedAt) ? new Date() : savedAt).toISOString()
+  };
+};
+
+/**
+ * Rebuilds a saved workspace with the puzzle's blocks. Blocks the puzzle no
+ * longer has are dropped, new ones go at the end of the available steps and
+ * the givens of this attempt are pinned in place.
+ * @param {Object} puzzle - Puzzle with blocks
+ * @param {Object} saved - Saved workspace
+ * @param {Array} givens - Given blocks placed for this attempt
+ * @returns {Object} { availableBlocks, proofBlocks, blockSelections, blockIndents, blockJustifications }
+ */
+export const rebuildWorkspace = (puzzle, saved, givens = []) => {
+  const { palette, workspace, selections, indents, justifications } = normalizeWorkspace(saved);
+  const blocks = new Map((puzzle?.blocks || []).map(block => [block.id, block]));
+  const givenIds = new Set(givens.map(block => block.id));
+  const toBlocks = (ids) => ids
+    .filter(id => blocks.has(id) && !givenIds.has(id))
+    .map(id => blocks.get(id));
+
+  const steps = toBlocks(workspace);
+  const stepIds = new Set(steps.map(block => block.id));
+  const availableBlocks = toBlocks(palette).filter(block => !stepIds.has(block.id));
+  const listed = new Set([...stepIds, ...availableBlocks.map(block => block.id), ...givenIds]);
+  availableBlocks.push(...[...blocks.values()].filter(block => !listed.has(block.id)));
+
+  const keepSteps = (entries) => Object.fromEntries(Object.entries(entries).filter(([id]) => stepIds.has(id)));
+
+  return {
+    availableBlocks,
+    proofBlocks: placeGivens(steps, givens, puzzle),
+    blockSelections: Object.fromEntries(Object.entries(selections).filter(([id]) => blocks.has(id))),
+    blockIndents: {
+      ...keepSteps(indents),
+      ...Object.fromEntries(givens.map(block => [block.id, block.depth || 0]))
+    },
+    blockJustifications: keepSteps(justifications)
+  };
+};
@@ -1,7 +1,7 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { NavigationHeader } from './components/navigation';
-import { StudentPage, EducatorPage } from './pages';
+import { StudentPage, EducatorPage, NotFoundPage } from './pages';
 import './App.css';
 
 function App() {
@@ -14,8 +14,10 @@ function App() {
           <Routes>
             <Route path="/" element={<Navigate to="/student" replace />} />
             <Route path="/student" element={<StudentPage />} />
+            <Route path="/student/:category/:puzzleId" element={<StudentPage />} />
             <Route path="/educator" element={<EducatorPage />} />
-            <Route path="*" element={<Navigate to="/student" replace />} />
+            <Route path="/educator/puzzles/:id/edit" element={<EducatorPage />} />
+            <Route path="*" element={<NotFoundPage />} />
           </Routes>
         </div>
 
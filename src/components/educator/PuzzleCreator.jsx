@@ -20,6 +20,12 @@ import { CSS } from '@dnd-kit/utilities';
 import { KatexRenderer } from '../renderers';
 import { LoadingState, ErrorTooltip } from '../ui';
 import CustomTagInput from './CustomTagInput';
+import { getPlaceholders, getDefaultPlaceholderValue } from '../../../shared/placeholders.js';
+import { MAX_DEPTH, clampDepth } from '../../../shared/nesting.js';
+import { SCORING_STRATEGIES, DEFAULT_SCORING_STRATEGY } from '../../../shared/scoringStrategies.js';
+import { DEFAULT_HINT_BUDGET, DEFAULT_HINT_COST, DEFAULT_MAX_ATTEMPTS } from '../../../shared/ProofValidator.js';
+import { DEFAULT_TIME_LIMIT_SECONDS } from '../../../shared/timing.js';
+import { DICTIONARY_TERMS, TERM_CATEGORIES } from '../../data/terms';
 import styles from './PuzzleCreator.module.css';
 
 // Available categories based on existing JSON files
@@ -52,8 +58,57 @@ const CATEGORIES = {
 
 const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
 
+// Steps a block depends on: explicit `dependsOn`, otherwise the previous step
+const getDependencies = (blocks, index) => {
+  const block = blocks[index];
+  if (Array.isArray(block.dependsOn)) return block.dependsOn;
+  return index > 0 ? [blocks[index - 1].id] : [];
+};
+
+// Drop dependencies that no longer point to an earlier step
+const pruneDependencies = (blocks) => blocks.map((block, index) => {
+  if (!Array.isArray(block.dependsOn)) return block;
+
+  const earlierIds = new Set(blocks.slice(0, index).map(b => b.id));
+  return {
+    ...block,
+    dependsOn: block.dependsOn.filter(id => earlierIds.has(id))
+  };
+});
+
+// Positions of the given blocks, in proof order
+const getPositions = (blocks, blockIds) => blockIds
+  .map(id => blocks.findIndex(block => block.id === id))
+  .sort((a, b) => a - b);
+
+// Whether the given blocks sit next to each other in the proof
+const areAdjacent = (blocks, blockIds) => {
+  const positions = getPositions(blocks, blockIds);
+  return positions[0] !== -1 && positions.every((position, i) => position === positions[0] + i);
+};
+
+// Drop removed blocks from interchangeable groups and dissolve groups whose
+// steps are no longer next to each other
+const pruneGroups = (blocks, groups) => groups
+  .map(group => group.filter(id => blocks.some(block => block.id === id)))
+  .filter(group => group.length >= 2 && areAdjacent(blocks, group));
+
+// Dictionary terms suggested as justifications, without duplicates
+const TERM_SUGGESTIONS = [...new Set(DICTIONARY_TERMS.map(({ term }) => term))].sort((a, b) => a.localeCompare(b));
+
+// Accepted justifications are edited as one text, separated by semicolons
+const JUSTIFICATION_SEPARATOR = ';';
+
+// Turns the edited text into a single reason or an array of accepted reasons
+const parseJustification = (text) => {
+  const reasons = String(text || '').split(JUSTIFICATION_SEPARATOR).map(reason => reason.trim()).filter(Boolean);
+  return reasons.length > 1 ? reasons : reasons[0];
+};
+
 // Sortable Block Item Component
-function SortableBlockItem({ block, index, onRemove }) {
+function SortableBlockItem({ block, index, blocks, previousBlocks, dependencies, groupNumber, isSelected, onRemove, onToggleSelect, onToggleDependency, onExpectedSelectionChange, onDepthChange, onToggleGiven, onJustificationChange, onAddMisconception, onRemoveMisconception }) {
+  const [misconceptionBefore, setMisconceptionBefore] = useState('');
+  const [misconceptionMessage, setMisconceptionMessage] = useState('');
   const {
     attributes,
     listeners,
@@ -63,16 +118,30 @@ function SortableBlockItem({ block, index, onRemove }) {
     isDragging
   } = useSortable({ id: block.id });
 
+  const depth = block.depth || 0;
+  const hasPlaceholders = getPlaceholders(block.latex).length > 0;
+  const stepOf = (blockId) => blocks.findIndex(b => b.id === blockId) + 1;
+
+  const addMisconception = () => {
+    if (!misconceptionBefore || !misconceptionMessage.trim()) return;
+
+    onAddMisconception(block.id, { before: misconceptionBefore, message: misconceptionMessage.trim() });
+    setMisconceptionBefore('');
+    setMisconceptionMessage('');
+  };
   const style = {
     transform: CSS.Transform.toString(transform),
     transition,
+    marginLeft: `${depth * 1.5}rem`
   };
 
   return (
     <div
       ref={setNodeRef}
       style={style}
-      className={`${styles['block-item']} ${isDragging ? styles['dragging'] : ''}`}
+      className={`${styles['block-item']} ${isDragging ? styles['dragging'] : ''} ${
+        groupNumber ? styles['grouped'] : ''
+      }`}
     >
       <div
         {...attributes}
@@ -81,11 +150,127 @@ function SortableBlockItem({ block, index, onRemove }) {
       >
         ⋮⋮
       </div>
+      <input
+        type="checkbox"
+        className={styles['block-select']}
+        checked={isSelected}
+        onChange={() => onToggleSelect(block.id)}
+        aria-label={`Select step ${index + 1}`}
+      />
       <div className={styles['block-content']}>
         <div className={styles['block-number']}>
           Step {index + 1}:
+          {groupNumber && (
+            <span className={styles['group-badge']}>🔗 Group {groupNumber}</span>
+          )}
+        </div>
+        <KatexRenderer
+          latex={block.latex}
+          variables={block.expectedSelections || {}}
+          onVariableChange={(key, value) => onExpectedSelectionChange(block.id, key, value)}
+          isInteractive={true}
+          blockId={block.id}
+        />
+        {previousBlocks.length > 0 && (
+          <div className={styles['block-dependencies']}>
+            <span className={styles['dependencies-label']}>Depends on:</span>
+            {previousBlocks.map((previousBlock, previousIndex) => (
+              <button
+                key={previousBlock.id}
+                className={`${styles['dependency-chip']} ${
+                  dependencies.includes(previousBlock.id) ? styles['selected'] : ''
+                }`}
+                onClick={() => onToggleDependency(block.id, previousBlock.id)}
+                title={`Toggle whether this step requires step ${previousIndex + 1}`}
+              >
+                {previousIndex + 1}
+              </button>
+            ))}
+          </div>
+        )}
+        <div className={styles['block-dependencies']}>
+          <span className={styles['dependencies-label']}>Indent:</span>
+          <button
+            className={styles['dependency-chip']}
+            onClick={() => onDepthChange(block.id, depth - 1)}
+            disabled={depth === 0}
+            title="Move this step out one level"
+          >
+            ⇤
+          </button>
+          <span className={styles['dependencies-label']}>{depth}</span>
+          <button
+            className={styles['dependency-chip']}
+            onClick={() => onDepthChange(block.id, depth + 1)}
+            disabled={depth === MAX_DEPTH}
+            title="Nest this step one level deeper, e.g. inside a case"
+          >
+            ⇥
+          </button>
+          <button
+            className={`${styles['dependency-chip']} ${block.given ? styles['selected'] : ''}`}
+            onClick={() => onToggleGiven(block.id)}
+            disabled={hasPlaceholders && !block.given}
+            title={hasPlaceholders
+              ? 'Steps with placeholders can\'t be given'
+              : 'Place this step for the student; it is not scored'}
+          >
+            📌 Given
+          </button>
+        </div>
+        <div className={styles['block-dependencies']}>
+          <label className={styles['dependencies-label']} htmlFor={`justification-${block.id}`}>Justification:</label>
+          <input
+            type="text"
+            id={`justification-${block.id}`}
+            list="justification-terms"
+            value={block.justification || ''}
+            onChange={(e) => onJustificationChange(block.id, e.target.value)}
+            placeholder="e.g., Inductive Hypothesis (separate accepted reasons with ;)"
+          />
+        </div>
+        <div className={styles['misconceptions']}>
+          {(block.misconceptions || []).map((rule, ruleIndex) => (
+            <div key={ruleIndex} className={styles['misconception-rule']}>
+              <span className={styles['dependencies-label']}>If placed before step {stepOf(rule.before)}:</span>
+              <span>{rule.message}</span>
+              <button
+                className={styles['dependency-chip']}
+                onClick={() => onRemoveMisconception(block.id, ruleIndex)}
+                title="Remove this feedback"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <div className={styles['misconception-rule']}>
+            <span className={styles['dependencies-label']}>If placed before</span>
+            <select
+              value={misconceptionBefore}
+              onChange={(e) => setMisconceptionBefore(e.target.value)}
+              aria-label={`Step that step ${index + 1} must not come before`}
+            >
+              <option value="">step…</option>
+              {blocks.map((other, otherIndex) => other.id !== block.id && (
+                <option key={other.id} value={other.id}>Step {otherIndex + 1}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={misconceptionMessage}
+              onChange={(e) => setMisconceptionMessage(e.target.value)}
+              placeholder="e.g., You used the inductive hypothesis before stating it."
+            />
+            <button
+              className={styles['dependency-chip']}
+              onClick={addMisconception}
+              disabled={!misconceptionBefore || !misconceptionMessage.trim()}
+              title="Add feedback for this mistake"
+            >
+              ➕
+            </button>
+          </div>
         </div>
-        <KatexRenderer latex={block.latex} />
       </div>
       <button
         className={styles['remove-block']}
@@ -97,18 +282,50 @@ function SortableBlockItem({ block, index, onRemove }) {
   );
 }
 
+// Proof steps of a puzzle in solution order, for editing
+const getOrderedSteps = (puzzle) => {
+  const steps = (puzzle?.blocks || []).filter(block => !block.distractor);
+  const order = puzzle?.solutionOrder || [];
+  return [
+    ...order.map(id => steps.find(block => block.id === id)).filter(Boolean),
+    ...steps.filter(block => !order.includes(block.id))
+  ];
+};
+
 function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
+  // A puzzle with an ID is being edited, and keeps its ID when saved
+  const isEditing = Boolean(initialPuzzle?.id);
   const [puzzleData, setPuzzleData] = useState({
     category: initialPuzzle?.category || 'big-o',
     title: initialPuzzle?.title || '',
     displayTitle: initialPuzzle?.displayTitle || '',
     statement: initialPuzzle?.statement || '',
     difficulty: initialPuzzle?.difficulty || 'medium',
+    scoringStrategy: initialPuzzle?.scoringStrategy || DEFAULT_SCORING_STRATEGY,
+    hintBudget: initialPuzzle?.hintBudget ?? DEFAULT_HINT_BUDGET,
+    hintCost: initialPuzzle?.hintCost ?? DEFAULT_HINT_COST,
+    maxAttempts: initialPuzzle?.maxAttempts ?? DEFAULT_MAX_ATTEMPTS,
+    timeLimitSeconds: initialPuzzle?.timeLimitSeconds ?? '',
+    fadeGivens: initialPuzzle?.fadeGivens || false,
     tags: initialPuzzle?.tags || [],
-    blocks: initialPuzzle?.blocks || []
+    blocks: getOrderedSteps(initialPuzzle)
+      .map(block => Array.isArray(block.justification)
+        ? { ...block, justification: block.justification.join(`${JUSTIFICATION_SEPARATOR} `) }
+        : block),
+    justificationPool: initialPuzzle?.justificationPool || [],
+    distractors: (initialPuzzle?.blocks || []).filter(block => block.distractor),
+    alternativeSolutions: initialPuzzle?.alternativeSolutions || [],
+    interchangeableGroups: initialPuzzle?.interchangeableGroups || [],
+    pairedDistractors: initialPuzzle?.pairedDistractors || []
   });
 
   const [currentBlock, setCurrentBlock] = useState('');
+  const [currentDistractor, setCurrentDistractor] = useState('');
+  const [currentExplanation, setCurrentExplanation] = useState('');
+  const [currentTwin, setCurrentTwin] = useState('');
+  const [currentJustification, setCurrentJustification] = useState('');
+  const [draftAlternative, setDraftAlternative] = useState([]);
+  const [selectedStepIds, setSelectedStepIds] = useState([]);
   const [isPreviewMode, setIsPreviewMode] = useState(false);
   const [errors, setErrors] = useState({});
   const [isSaving, setIsSaving] = useState(false);
@@ -132,11 +349,20 @@ function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
   const addBlock = useCallback(() => {
     if (!currentBlock.trim()) return;
 
+    const latex = currentBlock.trim();
+    const placeholders = getPlaceholders(latex);
     const newBlock = {
       id: generateBlockId(),
-      latex: currentBlock.trim()
+      latex
     };
 
+    // Grade every placeholder, starting from the option students see first
+    if (placeholders.length > 0) {
+      newBlock.expectedSelections = Object.fromEntries(
+        placeholders.map(({ key, type }) => [key, getDefaultPlaceholderValue(type)])
+      );
+    }
+
     setPuzzleData(prev => ({
       ...prev,
       blocks: [...prev.blocks, newBlock]
@@ -147,9 +373,225 @@ function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
 
   // Remove a block
   const removeBlock = useCallback((blockId) => {
+    setPuzzleData(prev => {
+      const blocks = pruneDependencies(prev.blocks
+        .filter(block => block.id !== blockId)
+        .map(block => block.misconceptions
+          ? { ...block, misconceptions: block.misconceptions.filter(rule => rule.before !== blockId) }
+          : block
+        ));
+      return {
+        ...prev,
+        blocks,
+        alternativeSolutions: prev.alternativeSolutions
+          .map(order => order.filter(id => id !== blockId))
+          .filter(order => order.length >= 2),
+        interchangeableGroups: pruneGroups(blocks, prev.interchangeableGroups),
+        pairedDistractors: prev.pairedDistractors.filter(pair => !pair.includes(blockId))
+      };
+    });
+    setDraftAlternative(prev => prev.filter(id => id !== blockId));
+    setSelectedStepIds(prev => prev.filter(id => id !== blockId));
+  }, []);
+
+  // Select or deselect a step for grouping
+  const toggleStepSelection = useCallback((blockId) => {
+    setSelectedStepIds(prev => prev.includes(blockId)
+      ? prev.filter(id => id !== blockId)
+      : [...prev, blockId]
+    );
+  }, []);
+
+  // Mark the selected adjacent steps as placeable in any order
+  const groupSelectedSteps = useCallback(() => {
+    setPuzzleData(prev => ({
+      ...prev,
+      interchangeableGroups: [
+        ...prev.interchangeableGroups,
+        getPositions(prev.blocks, selectedStepIds).map(position => prev.blocks[position].id)
+      ]
+    }));
+    setSelectedStepIds([]);
+  }, [selectedStepIds]);
+
+  // Remove an interchangeable group, keeping its steps
+  const ungroupSteps = useCallback((groupIndex) => {
+    setPuzzleData(prev => ({
+      ...prev,
+      interchangeableGroups: prev.interchangeableGroups.filter((_, index) => index !== groupIndex)
+    }));
+  }, []);
+
+  // Add a distractor block with the reason it is wrong
+  const addDistractor = useCallback(() => {
+    if (!currentDistractor.trim()) return;
+
+    const newDistractor = {
+      id: generateBlockId(),
+      latex: currentDistractor.trim(),
+      explanation: currentExplanation.trim()
+    };
+
+    setPuzzleData(prev => ({
+      ...prev,
+      distractors: [...prev.distractors, newDistractor],
+      pairedDistractors: currentTwin
+        ? [...prev.pairedDistractors, [currentTwin, newDistractor.id].sort()]
+        : prev.pairedDistractors
+    }));
+
+    setCurrentDistractor('');
+    setCurrentExplanation('');
+    setCurrentTwin('');
+  }, [currentDistractor, currentExplanation, currentTwin, generateBlockId]);
+
+  // Remove a distractor block
+  const removeDistractor = useCallback((blockId) => {
     setPuzzleData(prev => ({
       ...prev,
-      blocks: prev.blocks.filter(block => block.id !== blockId)
+      distractors: prev.distractors.filter(block => block.id !== blockId),
+      pairedDistractors: prev.pairedDistractors.filter(pair => !pair.includes(blockId))
+    }));
+  }, []);
+
+  // Record the correct choice for one of a block's placeholders
+  const setExpectedSelection = useCallback((blockId, key, value) => {
+    setPuzzleData(prev => ({
+      ...prev,
+      blocks: prev.blocks.map(block => block.id === blockId
+        ? { ...block, expectedSelections: { ...block.expectedSelections, [key]: value } }
+        : block
+      )
+    }));
+  }, []);
+
+  // Attach targeted feedback for placing a step before another one
+  const addMisconception = useCallback((blockId, rule) => {
+    setPuzzleData(prev => ({
+      ...prev,
+      blocks: prev.blocks.map(block => block.id === blockId
+        ? { ...block, misconceptions: [...(block.misconceptions || []), rule] }
+        : block
+      )
+    }));
+  }, []);
+
+  // Remove a misconception rule from a step
+  const removeMisconception = useCallback((blockId, ruleIndex) => {
+    setPuzzleData(prev => ({
+      ...prev,
+      blocks: prev.blocks.map(block => {
+        if (block.id !== blockId) return block;
+
+        const { misconceptions = [], ...rest } = block;
+        const remaining = misconceptions.filter((_, index) => index !== ruleIndex);
+        return remaining.length > 0 ? { ...rest, misconceptions: remaining } : rest;
+      })
+    }));
+  }, []);
+
+  // Set how deeply a step is nested; top-level steps leave `depth` out
+  const setBlockDepth = useCallback((blockId, depth) => {
+    setPuzzleData(prev => ({
+      ...prev,
+      blocks: prev.blocks.map(block => {
+        if (block.id !== blockId) return block;
+
+        const { depth: _previous, ...rest } = block;
+        const newDepth = clampDepth(depth);
+        return newDepth > 0 ? { ...rest, depth: newDepth } : rest;
+      })
+    }));
+  }, []);
+
+  // Toggle whether a step is placed for the student as a given
+  const toggleGiven = useCallback((blockId) => {
+    setPuzzleData(prev => ({
+      ...prev,
+      blocks: prev.blocks.map(block => {
+        if (block.id !== blockId) return block;
+
+        const { given, ...rest } = block;
+        return given ? rest : { ...rest, given: true };
+      })
+    }));
+  }, []);
+
+  // Set the reason a step holds in a two-column proof; an empty reason removes it
+  const setBlockJustification = useCallback((blockId, text) => {
+    setPuzzleData(prev => ({
+      ...prev,
+      blocks: prev.blocks.map(block => {
+        if (block.id !== blockId) return block;
+
+        const { justification: _previous, ...rest } = block;
+        return text ? { ...rest, justification: text } : rest;
+      })
+    }));
+  }, []);
+
+  // Offer further reasons in the pool, e.g. plausible but wrong ones
+  const addPoolJustifications = useCallback((reasons) => {
+    setPuzzleData(prev => {
+      const known = new Set(prev.justificationPool.map(reason => reason.toLowerCase()));
+      const added = [];
+      reasons.map(reason => reason.trim()).forEach(reason => {
+        if (!reason || known.has(reason.toLowerCase())) return;
+        known.add(reason.toLowerCase());
+        added.push(reason);
+      });
+      return { ...prev, justificationPool: [...prev.justificationPool, ...added] };
+    });
+  }, []);
+
+  const removePoolJustification = useCallback((reason) => {
+    setPuzzleData(prev => ({
+      ...prev,
+      justificationPool: prev.justificationPool.filter(other => other !== reason)
+    }));
+  }, []);
+
+  // Toggle whether a step depends on an earlier step
+  const toggleDependency = useCallback((blockId, dependencyId) => {
+    setPuzzleData(prev => ({
+      ...prev,
+      blocks: prev.blocks.map((block, index) => {
+        if (block.id !== blockId) return block;
+
+        const current = getDependencies(prev.blocks, index);
+        const dependsOn = current.includes(dependencyId)
+          ? current.filter(id => id !== dependencyId)
+          : [...current, dependencyId];
+
+        return { ...block, dependsOn };
+      })
+    }));
+  }, []);
+
+  // Append a step to (or take it out of) the alternative being recorded
+  const toggleDraftStep = useCallback((blockId) => {
+    setDraftAlternative(prev => prev.includes(blockId)
+      ? prev.filter(id => id !== blockId)
+      : [...prev, blockId]
+    );
+  }, []);
+
+  // Store the recorded order as another accepted solution
+  const saveAlternative = useCallback(() => {
+    if (draftAlternative.length < 2) return;
+
+    setPuzzleData(prev => ({
+      ...prev,
+      alternativeSolutions: [...prev.alternativeSolutions, draftAlternative]
+    }));
+    setDraftAlternative([]);
+  }, [draftAlternative]);
+
+  // Remove an accepted alternative solution
+  const removeAlternative = useCallback((alternativeIndex) => {
+    setPuzzleData(prev => ({
+      ...prev,
+      alternativeSolutions: prev.alternativeSolutions.filter((_, index) => index !== alternativeIndex)
     }));
   }, []);
 
@@ -162,9 +604,12 @@ function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
         const oldIndex = prev.blocks.findIndex(block => block.id === active.id);
         const newIndex = prev.blocks.findIndex(block => block.id === over.id);
 
+        const blocks = pruneDependencies(arrayMove(prev.blocks, oldIndex, newIndex));
+
         return {
           ...prev,
-          blocks: arrayMove(prev.blocks, oldIndex, newIndex)
+          blocks,
+          interchangeableGroups: pruneGroups(blocks, prev.interchangeableGroups)
         };
       });
     }
@@ -208,6 +653,8 @@ function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
 
     if (puzzleData.blocks.length < 2) {
       newErrors.blocks = 'At least 2 blocks are required';
+    } else if (puzzleData.blocks.every(block => block.given)) {
+      newErrors.blocks = 'At least one step must be left for the student to place';
     }
 
     if (puzzleData.tags.length === 0) {
@@ -226,13 +673,30 @@ function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
     
     try {
       // Generate puzzle ID
-      const puzzleId = `puzzle-${Date.now()}`;
+      const puzzleId = isEditing ? initialPuzzle.id : `puzzle-${Date.now()}`;
       
-      // Create the complete puzzle object
+      // Create the complete puzzle object; distractors are shuffled in with
+      // the proof blocks but never appear in the solution order
+      const { distractors, alternativeSolutions, interchangeableGroups, pairedDistractors, fadeGivens, justificationPool, timeLimitSeconds, ...proofData } = puzzleData;
+      const proofBlocks = proofData.blocks.map(block => {
+        const { justification, ...rest } = block;
+        const accepted = parseJustification(justification);
+        return accepted ? { ...rest, justification: accepted } : rest;
+      });
       const completePuzzle = {
         id: puzzleId,
-        ...puzzleData,
-        solutionOrder: puzzleData.blocks.map(block => block.id)
+        ...proofData,
+        blocks: [
+          ...proofBlocks,
+          ...distractors.map(block => ({ ...block, distractor: true }))
+        ],
+        solutionOrder: proofData.blocks.map(block => block.id),
+        ...(alternativeSolutions.length > 0 && { alternativeSolutions }),
+        ...(interchangeableGroups.length > 0 && { interchangeableGroups }),
+        ...(pairedDistractors.length > 0 && { pairedDistractors }),
+        ...(fadeGivens && { fadeGivens }),
+        ...(timeLimitSeconds && { timeLimitSeconds }),
+        ...(justificationPool.length > 0 && { justificationPool })
       };
 
       await onSave(completePuzzle);
@@ -242,14 +706,34 @@ function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
     } finally {
       setIsSaving(false);
     }
-  }, [puzzleData, validatePuzzle, onSave]);
+  }, [puzzleData, validatePuzzle, onSave, isEditing, initialPuzzle]);
 
   const selectedCategory = CATEGORIES[puzzleData.category];
 
+  // Paired distractors, and the step number each one imitates
+  const pairedIds = new Set(puzzleData.pairedDistractors.flat());
+  const twinSteps = new Map();
+  puzzleData.pairedDistractors.forEach(pair => {
+    const stepIndex = puzzleData.blocks.findIndex(block => pair.includes(block.id));
+    const distractorId = pair.find(id => puzzleData.distractors.some(block => block.id === id));
+    if (stepIndex !== -1 && distractorId) {
+      twinSteps.set(distractorId, stepIndex + 1);
+    }
+  });
+
+  // Only adjacent steps that aren't grouped yet can form a new group
+  const groupNumbers = new Map();
+  puzzleData.interchangeableGroups.forEach((group, index) => {
+    group.forEach(id => groupNumbers.set(id, index + 1));
+  });
+  const canGroupSelection = selectedStepIds.length >= 2 &&
+    areAdjacent(puzzleData.blocks, selectedStepIds) &&
+    selectedStepIds.every(id => !groupNumbers.has(id));
+
   return (
     <div className={styles['puzzle-creator']}>
       <div className={styles['creator-header']}>
-        <h2>🎯 Create New Puzzle</h2>
+        <h2>{isEditing ? '✏️ Edit Puzzle' : '🎯 Create New Puzzle'}</h2>
         <div className={styles['header-actions']}>
           <button 
             className={styles['preview-toggle']}
@@ -331,6 +815,97 @@ function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
                 ))}
               </select>
             </div>
+
+            <div className={styles['form-group']}>
+              <label htmlFor="scoringStrategy">Partial Credit</label>
+              <select
+                id="scoringStrategy"
+                value={puzzleData.scoringStrategy}
+                onChange={(e) => setPuzzleData(prev => ({ ...prev, scoringStrategy: e.target.value }))}
+              >
+                {Object.values(SCORING_STRATEGIES).map(strategy => (
+                  <option key={strategy.id} value={strategy.id}>
+                    {strategy.label}
+                  </option>
+                ))}
+              </select>
+              <p className={styles['blocks-help']}>
+                {SCORING_STRATEGIES[puzzleData.scoringStrategy].description}
+              </p>
+            </div>
+
+            <div className={styles['form-group']}>
+              <label htmlFor="hintBudget">Hints Allowed</label>
+              <input
+                type="number"
+                id="hintBudget"
+                min="0"
+                value={puzzleData.hintBudget}
+                onChange={(e) => setPuzzleData(prev => ({ ...prev, hintBudget: Math.max(0, parseInt(e.target.value, 10) || 0) }))}
+              />
+            </div>
+
+            <div className={styles['form-group']}>
+              <label htmlFor="hintCost">Points Lost per Hint</label>
+              <input
+                type="number"
+                id="hintCost"
+                min="0"
+                max="100"
+                value={puzzleData.hintCost}
+                onChange={(e) => setPuzzleData(prev => ({ ...prev, hintCost: Math.min(100, Math.max(0, Number(e.target.value) || 0)) }))}
+              />
+              <p className={styles['blocks-help']}>
+                Hints are revealed one tier at a time, from a nudge to the exact step. Showing the
+                solution always sets the score to 0.
+              </p>
+            </div>
+
+            <div className={styles['form-group']}>
+              <label htmlFor="maxAttempts">Exam Attempts</label>
+              <input
+                type="number"
+                id="maxAttempts"
+                min="1"
+                value={puzzleData.maxAttempts}
+                onChange={(e) => setPuzzleData(prev => ({ ...prev, maxAttempts: Math.max(1, parseInt(e.target.value, 10) || 1) }))}
+              />
+              <p className={styles['blocks-help']}>
+                How many times a student may submit this puzzle in exam mode.
+              </p>
+            </div>
+
+            <div className={styles['form-group']}>
+              <label htmlFor="timeLimitSeconds">Time Limit (seconds)</label>
+              <input
+                type="number"
+                id="timeLimitSeconds"
+                min="1"
+                placeholder={`${DEFAULT_TIME_LIMIT_SECONDS}`}
+                value={puzzleData.timeLimitSeconds}
+                onChange={(e) => setPuzzleData(prev => ({ ...prev, timeLimitSeconds: e.target.value === '' ? '' : Math.max(1, parseInt(e.target.value, 10) || 1) }))}
+              />
+              <p className={styles['blocks-help']}>
+                The countdown in timed mode. Faster proofs score higher, and the proof is submitted
+                when time runs out. Leave empty for {DEFAULT_TIME_LIMIT_SECONDS / 60} minutes.
+              </p>
+            </div>
+
+            <div className={styles['form-group']}>
+              <label htmlFor="fadeGivens">
+                <input
+                  type="checkbox"
+                  id="fadeGivens"
+                  checked={puzzleData.fadeGivens}
+                  onChange={(e) => setPuzzleData(prev => ({ ...prev, fadeGivens: e.target.checked }))}
+                />
+                {' '}Fade Given Steps
+              </label>
+              <p className={styles['blocks-help']}>
+                Steps marked 📌 Given are placed for the student. When fading, one fewer is placed
+                each time the student starts the puzzle over.
+              </p>
+            </div>
           </div>
 
           {/* Tags Section */}
@@ -409,6 +984,13 @@ function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
             {/* Blocks List - Drag and Drop */}
             <div className={styles['blocks-list']}>
               <h4>Proof Steps (Drag to Reorder):</h4>
+              <p className={styles['blocks-help']}>
+                Each step depends on the one before it. Toggle the step numbers under a block
+                to let independent steps be placed in any order. Set each {'{{placeholder}}'} dropdown
+                to the value students must choose. Indent the steps of cases or sub-claims to make
+                students reproduce the nesting too. Tick adjacent steps and group them when they may
+                appear in any order.
+              </p>
               {puzzleData.blocks.length === 0 ? (
                 <div className={styles['empty-blocks']}>
                   No blocks added yet. Add blocks above to build your proof.
@@ -429,7 +1011,20 @@ function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
                           key={block.id}
                           block={block}
                           index={index}
+                          blocks={puzzleData.blocks}
+                          previousBlocks={puzzleData.blocks.slice(0, index)}
+                          dependencies={getDependencies(puzzleData.blocks, index)}
+                          groupNumber={groupNumbers.get(block.id)}
+                          isSelected={selectedStepIds.includes(block.id)}
                           onRemove={removeBlock}
+                          onToggleSelect={toggleStepSelection}
+                          onToggleDependency={toggleDependency}
+                          onExpectedSelectionChange={setExpectedSelection}
+                          onDepthChange={setBlockDepth}
+                          onToggleGiven={toggleGiven}
+                          onJustificationChange={setBlockJustification}
+                          onAddMisconception={addMisconception}
+                          onRemoveMisconception={removeMisconception}
                         />
                       ))}
                     </div>
@@ -438,6 +1033,250 @@ function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
               )}
               {errors.blocks && <ErrorTooltip message={errors.blocks} />}
             </div>
+
+            {puzzleData.blocks.length >= 2 && (
+              <div className={styles['group-actions']}>
+                <button
+                  onClick={groupSelectedSteps}
+                  disabled={!canGroupSelection}
+                  className={styles['add-block-btn']}
+                  title="Tick two or more adjacent, ungrouped steps to group them"
+                >
+                  🔗 Group Selected Steps (any order)
+                </button>
+                {puzzleData.interchangeableGroups.map((group, groupIndex) => (
+                  <div key={group.join('|')} className={styles['group-item']}>
+                    <span>
+                      Group {groupIndex + 1}: steps{' '}
+                      {getPositions(puzzleData.blocks, group).map(position => position + 1).join(', ')}
+                    </span>
+                    <button
+                      className={styles['remove-block']}
+                      onClick={() => ungroupSteps(groupIndex)}
+                      title="Ungroup these steps"
+                    >
+                      ✂️
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Alternative Solutions Section */}
+          {puzzleData.blocks.length >= 2 && (
+            <div className={styles['section']}>
+              <h3>🔀 Alternative Solutions (Optional)</h3>
+              <p className={styles['blocks-help']}>
+                Record another valid proof by clicking steps in the order it uses them. It may
+                leave steps out. Students get full credit for matching any accepted solution.
+              </p>
+
+              <div className={styles['alternative-pool']}>
+                {puzzleData.blocks.map((block, index) => (
+                  <button
+                    key={block.id}
+                    type="button"
+                    className={`${styles['dependency-chip']} ${
+                      draftAlternative.includes(block.id) ? styles['selected'] : ''
+                    }`}
+                    onClick={() => toggleDraftStep(block.id)}
+                    title={`Add or remove step ${index + 1}`}
+                  >
+                    {index + 1}
+                  </button>
+                ))}
+              </div>
+
+              {draftAlternative.length > 0 && (
+                <div className={styles['alternative-draft']}>
+                  {draftAlternative.map((blockId, position) => {
+                    const block = puzzleData.blocks.find(b => b.id === blockId);
+                    return (
+                      <div key={blockId} className={styles['preview-block']}>
+                        <span className={styles['step-num']}>{position + 1}.</span>
+                        <KatexRenderer latex={block.latex} />
+                      </div>
+                    );
+                  })}
+                  <div className={styles['alternative-actions']}>
+                    <button
+                      onClick={saveAlternative}
+                      disabled={draftAlternative.length < 2}
+                      className={styles['add-block-btn']}
+                    >
+                      ➕ Add Alternative
+                    </button>
+                    <button
+                      onClick={() => setDraftAlternative([])}
+                      className={styles['cancel-btn']}
+                    >
+                      Clear
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {puzzleData.alternativeSolutions.length > 0 && (
+                <div className={styles['draggable-list']}>
+                  {puzzleData.alternativeSolutions.map((order, alternativeIndex) => (
+                    <div key={alternativeIndex} className={styles['block-item']}>
+                      <div className={styles['block-content']}>
+                        Alternative {alternativeIndex + 1}: steps{' '}
+                        {order.map(id => puzzleData.blocks.findIndex(b => b.id === id) + 1).join(' → ')}
+                      </div>
+                      <button
+                        className={styles['remove-block']}
+                        onClick={() => removeAlternative(alternativeIndex)}
+                      >
+                        🗑
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Distractors Section */}
+          <div className={styles['section']}>
+            <h3>🎭 Distractor Blocks (Optional)</h3>
+            <p className={styles['blocks-help']}>
+              Plausible but wrong steps that are mixed into the palette. Students lose points for
+              using them and are shown your explanation.
+            </p>
+
+            <div className={styles['block-input']}>
+              <label htmlFor="currentDistractor">Distractor (LaTeX)</label>
+              <textarea
+                id="currentDistractor"
+                value={currentDistractor}
+                onChange={(e) => setCurrentDistractor(e.target.value)}
+                placeholder="Enter LaTeX for a plausible but wrong step..."
+              />
+              <div className={styles['block-preview']}>
+                {currentDistractor && (
+                  <div className={styles['preview-label']}>Preview:</div>
+                )}
+                <KatexRenderer latex={currentDistractor} />
+              </div>
+              <label htmlFor="currentExplanation">Why is it wrong?</label>
+              <input
+                type="text"
+                id="currentExplanation"
+                value={currentExplanation}
+                onChange={(e) => setCurrentExplanation(e.target.value)}
+                placeholder="e.g., This assumes the statement we are trying to prove."
+              />
+              <label htmlFor="currentTwin">Twin of Step (Optional)</label>
+              <select
+                id="currentTwin"
+                value={currentTwin}
+                onChange={(e) => setCurrentTwin(e.target.value)}
+              >
+                <option value="">Not paired</option>
+                {puzzleData.blocks.map((block, index) => !block.given && !pairedIds.has(block.id) && (
+                  <option key={block.id} value={block.id}>Step {index + 1}</option>
+                ))}
+              </select>
+              <button
+                onClick={addDistractor}
+                disabled={!currentDistractor.trim()}
+                className={styles['add-block-btn']}
+              >
+                ➕ Add Distractor
+              </button>
+            </div>
+
+            {puzzleData.distractors.length > 0 && (
+              <div className={styles['draggable-list']}>
+                {puzzleData.distractors.map(distractor => (
+                  <div key={distractor.id} className={`${styles['block-item']} ${styles['distractor-item']}`}>
+                    <div className={styles['block-content']}>
+                      <KatexRenderer latex={distractor.latex} />
+                      {distractor.explanation && (
+                        <div className={styles['distractor-explanation']}>{distractor.explanation}</div>
+                      )}
+                      {twinSteps.has(distractor.id) && (
+                        <div className={styles['distractor-explanation']}>
+                          ⚖️ Twin of step {twinSteps.get(distractor.id)}, shown beside it for students to pick one
+                        </div>
+                      )}
+                    </div>
+                    <button
+                      className={styles['remove-block']}
+                      onClick={() => removeDistractor(distractor.id)}
+                    >
+                      🗑
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Justification Pool Section */}
+          <div className={styles['section']}>
+            <h3>📚 Justifications (Optional)</h3>
+            <p className={styles['blocks-help']}>
+              Give steps a justification to make this a two-column proof: students attach a reason
+              from the pool to every step. The pool holds each step's reasons plus any extra ones
+              you add here, such as dictionary terms that don't apply.
+            </p>
+
+            <div className={styles['block-input']}>
+              <label htmlFor="currentJustification">Extra Reason</label>
+              <input
+                type="text"
+                id="currentJustification"
+                list="justification-terms"
+                value={currentJustification}
+                onChange={(e) => setCurrentJustification(e.target.value)}
+                placeholder="e.g., Strong Induction"
+              />
+              <button
+                onClick={() => {
+                  addPoolJustifications([currentJustification]);
+                  setCurrentJustification('');
+                }}
+                disabled={!currentJustification.trim()}
+                className={styles['add-block-btn']}
+              >
+                ➕ Add Reason
+              </button>
+              <label htmlFor="termCategory">Add Dictionary Terms</label>
+              <select
+                id="termCategory"
+                value=""
+                onChange={(e) => addPoolJustifications(TERM_CATEGORIES[e.target.value].map(({ term }) => term))}
+              >
+                <option value="">Choose a category…</option>
+                {Object.keys(TERM_CATEGORIES).map(key => (
+                  <option key={key} value={key}>{key.replace(/_/g, ' ').toLowerCase()}</option>
+                ))}
+              </select>
+            </div>
+
+            {puzzleData.justificationPool.length > 0 && (
+              <div className={styles['block-dependencies']}>
+                {puzzleData.justificationPool.map(reason => (
+                  <button
+                    key={reason}
+                    className={styles['dependency-chip']}
+                    onClick={() => removePoolJustification(reason)}
+                    title="Remove this reason from the pool"
+                  >
+                    {reason} ✕
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <datalist id="justification-terms">
+              {TERM_SUGGESTIONS.map(term => (
+                <option key={term} value={term} />
+              ))}
+            </datalist>
           </div>
         </div>
       ) : (
@@ -468,6 +1307,28 @@ function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
                 </div>
               ))}
             </div>
+            {puzzleData.alternativeSolutions.length > 0 && (
+              <div className={styles['puzzle-blocks']}>
+                <h5>Alternative Solutions ({puzzleData.alternativeSolutions.length}):</h5>
+                {puzzleData.alternativeSolutions.map((order, alternativeIndex) => (
+                  <div key={alternativeIndex} className={styles['preview-block']}>
+                    <span className={styles['step-num']}>↺</span>
+                    Steps {order.map(id => puzzleData.blocks.findIndex(b => b.id === id) + 1).join(' → ')}
+                  </div>
+                ))}
+              </div>
+            )}
+            {puzzleData.distractors.length > 0 && (
+              <div className={styles['puzzle-blocks']}>
+                <h5>Distractors ({puzzleData.distractors.length}):</h5>
+                {puzzleData.distractors.map(distractor => (
+                  <div key={distractor.id} className={styles['preview-block']}>
+                    <span className={styles['step-num']}>✗</span>
+                    <KatexRenderer latex={distractor.latex} />
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -487,7 +1348,7 @@ function PuzzleCreator({ onSave, onCancel, initialPuzzle = null }) {
           onClick={handleSave}
           disabled={isSaving}
         >
-          {isSaving ? <LoadingState size="small" /> : '🚀 Publish Puzzle'}
+          {isSaving ? <LoadingState size="small" /> : (isEditing ? '💾 Save Changes' : '🚀 Publish Puzzle')}
         </button>
       </div>
     </div>
@@ -1,7 +1,8 @@
 import React from 'react';
+import { ShareLinkButton } from '../ui';
 import styles from './PuzzleSuccessModal.module.css';
 
-function PuzzleSuccessModal({ isOpen, onClose, puzzleTitle, filename }) {
+function PuzzleSuccessModal({ isOpen, onClose, puzzleTitle, filename, puzzlePath }) {
   if (!isOpen) return null;
 
   return (
@@ -14,6 +15,12 @@ function PuzzleSuccessModal({ isOpen, onClose, puzzleTitle, filename }) {
         <div className={styles['success-details']}>
           <p><strong>Puzzle:</strong> {puzzleTitle}</p>
           <p><strong>File:</strong> {filename}</p>
+          {puzzlePath && (
+            <p>
+              <strong>Student link:</strong> <code>{puzzlePath}</code>{' '}
+              <ShareLinkButton path={puzzlePath} />
+            </p>
+          )}
         </div>
 
         <div className={styles['instructions']}>
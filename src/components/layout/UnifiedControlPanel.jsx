@@ -1,5 +1,6 @@
 import React from 'react';
-import { DataSourceBadge, DataSourceToggle, PuzzleSelector, ErrorTooltip } from '../ui';
+import { DataSourceBadge, DataSourceToggle, PuzzleSelector, ErrorTooltip, ModeSwitch, ShareLinkButton } from '../ui';
+import { getPuzzlePath } from '../../utils/routes';
 import styles from './UnifiedControlPanel.module.css';
 
 const UnifiedControlPanel = ({
@@ -9,6 +10,10 @@ const UnifiedControlPanel = ({
   useLocalData,
   onToggleDataSource,
   onPuzzleChange,
+  progress,
+  mode,
+  onModeChange,
+  isModeLocked,
   healthLoading,
   puzzlesError
 }) => {
@@ -33,11 +38,19 @@ const UnifiedControlPanel = ({
             puzzles={puzzles}
             currentPuzzle={currentPuzzle}
             onPuzzleChange={onPuzzleChange}
+            progress={progress}
           />
+
+          {currentPuzzle && (
+            <ShareLinkButton path={getPuzzlePath(currentPuzzle)} />
+          )}
         </div>
         
         <div className={styles.controlPanelActions}>
           {/* Error indicator will be positioned here via CSS */}
+          {onModeChange && (
+            <ModeSwitch mode={mode} onModeChange={onModeChange} isLocked={isModeLocked} />
+          )}
         </div>
       </div>
       
@@ -4,8 +4,8 @@ import styles from './NavigationHeader.module.css';
 
 const NavigationHeader = () => {
   const location = useLocation();
-  const isStudentPage = location.pathname === '/' || location.pathname === '/student';
-  const isEducatorPage = location.pathname === '/educator';
+  const isStudentPage = location.pathname === '/' || location.pathname.startsWith('/student');
+  const isEducatorPage = location.pathname.startsWith('/educator');
 
   return (
     <nav className={styles.navigationHeader}>
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { DEFAULT_MAX_ATTEMPTS } from '../../../shared/ProofValidator.js';
+import gradingService from '../../services/gradingService';
+import ProofExportActions from './ProofExportActions';
+import './ProofValidationDisplay.css';
+
+/**
+ * Exam mode replacement for ProofValidationDisplay: nothing is validated
+ * until the student submits, and only a limited number of times.
+ */
+const ExamSubmissionPanel = ({
+  puzzle,
+  proofBlocks,
+  blockSelections = {},
+  blockIndents = {},
+  blockJustifications = {},
+  givens,
+  attemptId,
+  submissions = [],
+  onSubmit,
+  onNextPuzzle,
+  recommendation
+}) => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const attemptsUsed = submissions.length;
+  const lastSubmission = submissions[attemptsUsed - 1];
+  const maxAttempts = lastSubmission?.maxAttempts ?? puzzle.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+  const isFinished = Boolean(lastSubmission?.isFinal);
+
+  const handleSubmit = async () => {
+    if (isFinished || isSubmitting || proofBlocks.length === 0 || !attemptId) return;
+
+    setIsSubmitting(true);
+    setSubmitError(null);
+    try {
+      const result = await gradingService.validate(puzzle, proofBlocks.map(block => block.id), {
+        selections: blockSelections,
+        indents: blockIndents,
+        justifications: blockJustifications,
+        givens,
+        attemptId
+      });
+
+      // The attempt number and whether it was the last come with the grade
+      onSubmit(result);
+    } catch (error) {
+      console.error('Error submitting proof:', error);
+      setSubmitError(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className={`validation-display exam ${lastSubmission ? (lastSubmission.isCorrect ? 'correct' : 'incorrect') : 'empty'}`}>
+      <div className="validation-header">
+        <div className="score-section">
+          {lastSubmission ? (
+            <>
+              <span className="score-emoji">📝</span>
+              <span className="score-value">{lastSubmission.score}%</span>
+            </>
+          ) : (
+            <span className="validation-prompt">📝 Exam mode: your proof is graded when you submit it.</span>
+          )}
+        </div>
+
+        <div className="status-section">
+          <span className="exam-attempts">
+            Attempt {Math.min(attemptsUsed + 1, maxAttempts)} of {maxAttempts}
+          </span>
+        </div>
+      </div>
+
+      {lastSubmission && (
+        <div className="validation-feedback">
+          <p className="feedback-text">
+            {lastSubmission.isCorrect
+              ? '✅ Your proof is correct.'
+              : isFinished
+                ? '❌ Your proof is not correct and you have no attempts left.'
+                : `❌ Your proof is not correct yet. ${maxAttempts - attemptsUsed} attempt(s) left.`}
+            {isFinished && ` Final result recorded: ${lastSubmission.score}%.`}
+          </p>
+        </div>
+      )}
+
+      {submitError && (
+        <div className="validation-feedback">
+          <p className="feedback-text">⚠️ Your proof could not be submitted: {submitError}. It has not used an attempt.</p>
+        </div>
+      )}
+
+      {isFinished && recommendation && (
+        <p className="next-puzzle-note">
+          🧭 Up next: <strong>{recommendation.puzzle.displayTitle || recommendation.puzzle.title}</strong>. {recommendation.reason}
+        </p>
+      )}
+
+      <div className="success-actions">
+        {!isFinished ? (
+          <button
+            className="action-button primary"
+            onClick={handleSubmit}
+            disabled={proofBlocks.length === 0 || isSubmitting || !attemptId}
+          >
+            {isSubmitting ? '⏳ Submitting...' : '📤 Submit Proof'}
+          </button>
+        ) : (
+          <button
+            className="action-button primary"
+            onClick={onNextPuzzle}
+            disabled={!onNextPuzzle || !recommendation}
+          >
+            ➡️ Next Puzzle
+          </button>
+        )}
+        {lastSubmission?.isCorrect && (
+          <ProofExportActions
+            puzzle={puzzle}
+            proofBlocks={proofBlocks}
+            blockSelections={blockSelections}
+            blockIndents={blockIndents}
+            blockJustifications={blockJustifications}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExamSubmissionPanel;
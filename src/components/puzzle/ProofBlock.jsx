@@ -1,7 +1,8 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 import { KatexRenderer } from '../renderers';
+import { latexToSpeech } from '../../utils/mathSpeech';
 import './ProofBlock.css';
 
 const ProofBlock = ({
@@ -9,6 +10,8 @@ const ProofBlock = ({
   latexContent,
   isOverlay,
   isInWorkspace,
+  isLocked = false,
+  isGiven = false,
   blockSelections = {},
   onSelectionChange
 }) => {
@@ -19,14 +22,14 @@ const ProofBlock = ({
     transform,
     transition,
     isDragging,
-  } = useSortable({ id });
+  } = useSortable({ id, disabled: isLocked || isGiven });
 
   const style = {
     transform: CSS.Transform.toString(transform),
     transition,
     boxShadow: isDragging ? '0 4px 12px rgba(0,0,0,0.25)' : '0 2px 4px rgba(0,0,0,0.1)',
     zIndex: isDragging || isOverlay ? 100 : 'auto',
-    cursor: isDragging ? 'grabbing' : 'grab',
+    cursor: isLocked || isGiven ? 'default' : isDragging ? 'grabbing' : 'grab',
     opacity: isDragging ? 0.8 : 1,
   };
 
@@ -36,7 +39,10 @@ const ProofBlock = ({
     }
   };
 
-  const isInteractive = !isOverlay && !isDragging && !isInWorkspace;
+  const isInteractive = !isOverlay && !isDragging && !isInWorkspace && !isLocked;
+
+  // Screen readers announce the step in words rather than KaTeX's markup
+  const label = useMemo(() => latexToSpeech(latexContent, blockSelections), [latexContent, blockSelections]);
 
   return (
     <div
@@ -44,8 +50,9 @@ const ProofBlock = ({
       style={style}
       {...attributes}
       {...listeners}
-      className="proof-block"
+      className={`proof-block ${isGiven ? 'given' : ''}`}
       data-id={id}
+      aria-label={isGiven ? `Given step: ${label}` : label}
     >
       <KatexRenderer 
         latex={latexContent} 
@@ -0,0 +1,37 @@
+import React from 'react';
+import { downloadProofDocument } from '../../utils/proofExport';
+
+// Lets a student keep a solved proof: as a LaTeX file, or printed (or saved
+// as a PDF) through the print view
+const ProofExportActions = ({ puzzle, proofBlocks, blockSelections, blockIndents, blockJustifications }) => {
+  const handleDownload = () => {
+    downloadProofDocument({
+      puzzle,
+      proofBlocks,
+      selections: blockSelections,
+      indents: blockIndents,
+      justifications: blockJustifications
+    });
+  };
+
+  return (
+    <>
+      <button
+        className="action-button secondary"
+        onClick={handleDownload}
+        title="Download your proof as a standalone .tex file"
+      >
+        📄 Download LaTeX
+      </button>
+      <button
+        className="action-button secondary"
+        onClick={() => window.print()}
+        title="Print your proof, or save it as a PDF"
+      >
+        🖨️ Print Proof
+      </button>
+    </>
+  );
+};
+
+export default ProofExportActions;
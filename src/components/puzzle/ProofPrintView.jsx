@@ -0,0 +1,44 @@
+import React from 'react';
+import { getStepNumbers } from '../../../shared/nesting.js';
+import { KatexRenderer } from '../renderers';
+import './ProofPrintView.css';
+
+// The proof as it is printed: statement and numbered steps with the chosen
+// symbols, without the puzzle controls. Hidden on screen.
+const ProofPrintView = ({ puzzle, proofBlocks, blockSelections = {}, blockIndents = {}, blockJustifications = {} }) => {
+  if (proofBlocks.length === 0) return null;
+
+  const stepNumbers = getStepNumbers(proofBlocks.map(block => blockIndents[block.id] || 0));
+
+  return (
+    <article className="proof-print-view" aria-hidden="true">
+      <h1><KatexRenderer latex={puzzle.title} /></h1>
+      <section className="print-statement">
+        <h2>Statement</h2>
+        <p><KatexRenderer latex={puzzle.statement} /></p>
+      </section>
+      <section>
+        <h2>Proof</h2>
+        <ol className="print-steps">
+          {proofBlocks.map((block, index) => (
+            <li
+              key={block.id}
+              className="print-step"
+              style={{ paddingLeft: `${(blockIndents[block.id] || 0) * 1.5}em` }}
+            >
+              <span className="print-step-number">{stepNumbers[index]}.</span>
+              <span className="print-step-content">
+                <KatexRenderer latex={block.latex} variables={blockSelections[block.id] || {}} />
+              </span>
+              {blockJustifications[block.id] && (
+                <span className="print-step-reason">{blockJustifications[block.id]}</span>
+              )}
+            </li>
+          ))}
+        </ol>
+      </section>
+    </article>
+  );
+};
+
+export default ProofPrintView;
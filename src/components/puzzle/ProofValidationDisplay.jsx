@@ -1,33 +1,103 @@
 import React, { useState, useEffect } from 'react';
-import ProofValidator from '../../utils/ProofValidator';
+import { DEFAULT_HINT_BUDGET, DEFAULT_HINT_COST } from '../../../shared/ProofValidator.js';
+import { PLACEHOLDER_LABELS } from '../../../shared/placeholders.js';
+import { getStepNumbers } from '../../../shared/nesting.js';
+import { applyTimeFactor } from '../../../shared/timing.js';
+import gradingService from '../../services/gradingService';
 import { KatexRenderer } from '../renderers';
+import ProofExportActions from './ProofExportActions';
 import './ProofValidationDisplay.css';
 
-const ProofValidationDisplay = ({ puzzle, proofBlocks, onReset, onNextPuzzle, isLastPuzzle }) => {
-  const [validator, setValidator] = useState(() => new ProofValidator(puzzle));
+// Wait for the student to pause before asking the server to grade
+const SERVER_GRADING_DELAY = 300;
+
+const ProofValidationDisplay = ({
+  puzzle,
+  proofBlocks,
+  blockSelections = {},
+  blockIndents = {},
+  blockJustifications = {},
+  givens,
+  attemptId,
+  attemptError = null,
+  timing = null,
+  onValidated,
+  onReset,
+  onNextPuzzle,
+  recommendation
+}) => {
   const [validationResult, setValidationResult] = useState(null);
-  const [showHints, setShowHints] = useState(false);
+  const [validationError, setValidationError] = useState(null);
+  const [isRevealingHint, setIsRevealingHint] = useState(false);
 
-  // Update validator when puzzle changes
   useEffect(() => {
-    setValidator(prevValidator => {
-      // Only create new validator if puzzle actually changed
-      if (prevValidator.puzzle.id !== puzzle.id) {
-        return new ProofValidator(puzzle);
-      }
-      return prevValidator;
-    });
-  }, [puzzle]);
+    // Proofs are graded once the attempt has started
+    if (!attemptId || !proofBlocks || proofBlocks.length === 0) {
+      setValidationResult(null);
+      setValidationError(null);
+      onValidated?.(null);
+      return;
+    }
 
-  useEffect(() => {
-    if (proofBlocks && proofBlocks.length > 0) {
-      const userOrder = proofBlocks.map(block => block.id);
-      const result = validator.validateProof(userOrder);
+    let isCurrent = true;
+    const userOrder = proofBlocks.map(block => block.id);
+    const delay = gradingService.canGradeLocally(puzzle) ? 0 : SERVER_GRADING_DELAY;
+
+    const timer = setTimeout(() => {
+      gradingService.validate(puzzle, userOrder, {
+        selections: blockSelections,
+        indents: blockIndents,
+        justifications: blockJustifications,
+        givens,
+        attemptId
+      })
+        .then(result => {
+          if (!isCurrent) return;
+          setValidationResult(result);
+          setValidationError(null);
+          onValidated?.(result);
+        })
+        .catch(error => {
+          if (!isCurrent) return;
+          console.error('Error validating proof:', error);
+          setValidationError(error.message);
+        });
+    }, delay);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [puzzle, proofBlocks, blockSelections, blockIndents, blockJustifications, givens, attemptId, onValidated]);
+
+  // The hint tiers revealed so far are part of the result. Revealing one
+  // re-grades the proof with the hint counted.
+  const hint = validationResult?.hint;
+  const hintBudget = puzzle.hintBudget ?? DEFAULT_HINT_BUDGET;
+  const hintCost = puzzle.hintCost ?? DEFAULT_HINT_COST;
+  const hintsLeft = Math.max(0, hintBudget - (validationResult?.hintsUsed ?? 0));
+
+  const revealNextHint = async () => {
+    if (hintsLeft === 0 || !hint?.hasMore || isRevealingHint) return;
+
+    setIsRevealingHint(true);
+    try {
+      const result = await gradingService.getHint(puzzle, proofBlocks.map(block => block.id), {
+        selections: blockSelections,
+        indents: blockIndents,
+        justifications: blockJustifications,
+        givens,
+        attemptId
+      });
       setValidationResult(result);
-    } else {
-      setValidationResult(null);
+      onValidated?.(result);
+    } catch (error) {
+      console.error('Error revealing hint:', error);
+      setValidationError(error.message);
+    } finally {
+      setIsRevealingHint(false);
     }
-  }, [proofBlocks, validator]);
+  };
 
   const getScoreColor = (score) => {
     if (score >= 90) return '#4CAF50'; // Green
@@ -43,6 +113,25 @@ const ProofValidationDisplay = ({ puzzle, proofBlocks, onReset, onNextPuzzle, is
     return '💪';
   };
 
+  // In timed mode, the submitted score or the score if the proof were
+  // submitted now
+  const timedScore = timing && validationResult
+    ? timing.result?.timedScore ?? applyTimeFactor(validationResult.score, timing.elapsedSeconds, timing.timeLimitSeconds)
+    : null;
+
+  // Step labels as shown in the workspace, e.g. 2.1 in nested proofs
+  const stepNumbers = getStepNumbers((proofBlocks || []).map(block => blockIndents[block.id] || 0));
+
+  if (attemptError || validationError) {
+    return (
+      <div className="validation-display empty">
+        <p className="validation-prompt">
+          ⚠️ Couldn't check your proof: {attemptError || validationError}
+        </p>
+      </div>
+    );
+  }
+
   if (!validationResult) {
     return (
       <div className="validation-display empty">
@@ -64,11 +153,26 @@ const ProofValidationDisplay = ({ puzzle, proofBlocks, onReset, onNextPuzzle, is
           >
             {validationResult.score}%
           </span>
+          {timedScore !== null && (
+            <span
+              className="timed-score"
+              title="Your accuracy, scaled by the time you took. Faster proofs keep more of it."
+            >
+              ⏱️ {timedScore}% with time
+            </span>
+          )}
+          {validationResult.scoringStrategy && (
+            <span className="scoring-strategy" title={validationResult.scoringStrategy.description}>
+              Scored by: {validationResult.scoringStrategy.label}
+            </span>
+          )}
         </div>
         
         <div className="status-section">
           {validationResult.isCorrect ? (
             <span className="status correct">✅ Correct!</span>
+          ) : timing?.result ? (
+            <span className="status incorrect">⏰ Time's up</span>
           ) : (
             <span className="status incorrect">❌ Keep trying</span>
           )}
@@ -110,30 +214,126 @@ const ProofValidationDisplay = ({ puzzle, proofBlocks, onReset, onNextPuzzle, is
         </div>
       )}
 
-      {validationResult.hints && validationResult.hints.length > 0 && (
+      {validationResult.details?.distractorsUsed?.length > 0 && (
+        <div className="distractor-feedback">
+          <h4>🚫 Steps that don't belong in this proof</h4>
+          {validationResult.details.distractorsUsed.map(distractor => (
+            <div key={distractor.blockId} className="distractor-item">
+              <span className="distractor-position">Step {stepNumbers[distractor.position]}</span>
+              <span className="distractor-explanation">
+                {distractor.twinId && <strong>⚖️ Wrong twin: the other version of this step is right. </strong>}
+                {distractor.explanation || (distractor.twinId ? '' : 'This step is not part of a valid proof.')}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {validationResult.details?.misconceptions?.length > 0 && (
+        <div className="misconception-feedback">
+          <h4>💬 Notes from your instructor</h4>
+          {validationResult.details.misconceptions.map(note => (
+            <div key={`${note.blockId}-${note.beforeBlockId}`} className="misconception-item">
+              <span className="misconception-position">
+                Step {stepNumbers[note.position]} before {stepNumbers[note.beforePosition]}
+              </span>
+              <span className="misconception-message">{note.message}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {validationResult.details?.selections?.incorrect.length > 0 && (
+        <div className="selection-feedback">
+          <h4>🔣 Check these symbol choices</h4>
+          {validationResult.details.selections.incorrect.map(choice => (
+            <div key={`${choice.blockId}-${choice.key}`} className="selection-item">
+              <span className="selection-position">Step {stepNumbers[choice.position]}</span>
+              <span className="selection-explanation">
+                {choice.actual ? (
+                  <>The {PLACEHOLDER_LABELS[choice.type] || 'choice'} <KatexRenderer latex={choice.actual} /> is not right here.</>
+                ) : (
+                  <>The {PLACEHOLDER_LABELS[choice.type] || 'choice'} is still blank.</>
+                )}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {validationResult.details?.nesting?.incorrect.length > 0 && (
+        <div className="selection-feedback">
+          <h4>↔️ Check the indentation of these steps</h4>
+          {validationResult.details.nesting.incorrect.map(step => (
+            <div key={step.blockId} className="selection-item">
+              <span className="selection-position">Step {stepNumbers[step.position]}</span>
+              <span className="selection-explanation">
+                {step.actual < step.expected
+                  ? 'This step belongs inside the part above it.'
+                  : 'This step should be further out.'}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {validationResult.details?.justifications?.incorrect.length > 0 && (
+        <div className="selection-feedback">
+          <h4>📋 Check the justifications of these steps</h4>
+          {validationResult.details.justifications.incorrect.map(step => (
+            <div key={step.blockId} className="selection-item">
+              <span className="selection-position">Step {stepNumbers[step.position]}</span>
+              <span className="selection-explanation">
+                {step.actual
+                  ? `"${step.actual}" doesn't justify this step.`
+                  : 'This step still needs a justification.'}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {(validationResult.hintsUsed > 0 || validationResult.solutionRevealed) && (
+        <div className="hint-usage">
+          {validationResult.solutionRevealed
+            ? `👀 Solution revealed: score set to 0 (unaided score ${validationResult.unaidedScore}%)`
+            : `💡 Hints used: ${validationResult.hintsUsed} (−${validationResult.hintPenalty} points)`}
+        </div>
+      )}
+
+      {hint && (
         <div className="hints-section">
-          <button 
+          <button
             className="hints-toggle"
-            onClick={() => setShowHints(!showHints)}
+            onClick={revealNextHint}
+            disabled={hintsLeft === 0 || !hint.hasMore || isRevealingHint}
           >
-            💡 {showHints ? 'Hide' : 'Show'} Hints ({validationResult.hints.length})
+            {!hint.hasMore
+              ? '💡 No more detail for this hint'
+              : hintsLeft === 0
+                ? '💡 No hints left'
+                : `💡 ${hint.tiers.length === 0 ? 'Get a hint' : 'More detail'} (−${hintCost} points, ${hintsLeft} left)`}
           </button>
-          
-          {showHints && (
+
+          {hint.tiers.length > 0 && (
             <div className="hints-list">
-              {validationResult.hints.map((hint, index) => (
-                <div key={index} className={`hint hint-${hint.type}`}>
+              {hint.tiers.map(tier => (
+                <div key={tier.level} className={`hint hint-${hint.type}`}>
                   <div className="hint-header">
                     <span className="hint-icon">
                       {hint.type === 'position' && '📍'}
                       {hint.type === 'missing' && '❓'}
                       {hint.type === 'next' && '➡️'}
+                      {hint.type === 'distractor' && '🚫'}
+                      {hint.type === 'twin' && '⚖️'}
+                      {hint.type === 'nesting' && '↔️'}
+                      {hint.type === 'justification' && '📋'}
                     </span>
-                    <span className="hint-message">{hint.message}</span>
+                    <span className="hint-message">{tier.message}</span>
                   </div>
-                  {hint.latex && (
+                  {tier.latex && (
                     <div className="hint-latex">
-                      <KatexRenderer latex={hint.latex} />
+                      <KatexRenderer latex={tier.latex} />
                     </div>
                   )}
                 </div>
@@ -141,14 +341,19 @@ const ProofValidationDisplay = ({ puzzle, proofBlocks, onReset, onNextPuzzle, is
             </div>
           )}
         </div>
-      )}      {validationResult.isCorrect && (
+      )}      {validationResult.isCorrect && recommendation && (
+        <p className="next-puzzle-note">
+          🧭 Up next: <strong>{recommendation.puzzle.displayTitle || recommendation.puzzle.title}</strong>. {recommendation.reason}
+        </p>
+      )}
+      {validationResult.isCorrect && (
         <div className="success-actions">
           <button 
             className="action-button primary" 
             onClick={onNextPuzzle}
-            disabled={!onNextPuzzle}
+            disabled={!onNextPuzzle || !recommendation}
           >
-            {isLastPuzzle ? '🔄 Start Over' : '🎉 Try Next Puzzle'}
+            🎉 Try Next Puzzle
           </button>
           <button 
             className="action-button secondary" 
@@ -157,6 +362,13 @@ const ProofValidationDisplay = ({ puzzle, proofBlocks, onReset, onNextPuzzle, is
           >
             🔄 Reset & Try Again
           </button>
+          <ProofExportActions
+            puzzle={puzzle}
+            proofBlocks={proofBlocks}
+            blockSelections={blockSelections}
+            blockIndents={blockIndents}
+            blockJustifications={blockJustifications}
+          />
         </div>
       )}
     </div>
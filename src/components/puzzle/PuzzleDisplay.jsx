@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import {
   DndContext,
   PointerSensor,
@@ -12,35 +12,300 @@ import {
 import {
   SortableContext,
   arrayMove,
+  sortableKeyboardCoordinates,
   verticalListSortingStrategy,
 } from '@dnd-kit/sortable';
 
 import ProofBlock from './ProofBlock';
 import ProofValidationDisplay from './ProofValidationDisplay';
+import ExamSubmissionPanel from './ExamSubmissionPanel';
+import ProofPrintView from './ProofPrintView';
 import { KatexRenderer } from '../renderers';
+import { MAX_DEPTH, isNestedPuzzle, clampDepth, getStepNumbers } from '../../../shared/nesting.js';
+import { getActiveGivens, placeGivens } from '../../../shared/givens.js';
+import { isTwoColumnPuzzle, getJustificationPool } from '../../../shared/justifications.js';
+import { getTwins, groupTwins } from '../../../shared/pairs.js';
+import { getTimeLimit } from '../../../shared/timing.js';
+import { getAttemptOutcome } from '../../../shared/attempts.js';
+import { rebuildWorkspace } from '../../../shared/workspace.js';
+import { DICTIONARY_TERMS } from '../../data/terms';
+import gradingService from '../../services/gradingService';
+import workspaceService from '../../services/workspaceService';
+import { useUndoHistory } from '../../hooks/useUndoHistory';
+import { latexToSpeech } from '../../utils/mathSpeech';
 import './PuzzleDisplay.css';
 
-const PuzzleDisplay = ({ puzzle, onNextPuzzle, isLastPuzzle }) => {
+// Horizontal distance (px) a step moves per indentation level
+const INDENT_WIDTH = 32;
+
+// Dictionary definitions, shown for justifications that are dictionary terms
+const TERM_DEFINITIONS = new Map(DICTIONARY_TERMS.map(({ term, definition }) => [term.toLowerCase(), definition]));
+
+// Read out when a step gets keyboard focus
+const SCREEN_READER_INSTRUCTIONS = {
+  draggable: 'To pick up a step, press Space or Enter. Use the arrow keys to move it, ' +
+    'left and right to go between the available steps and your proof. Press Space or ' +
+    'Enter again to drop it, or Escape to cancel. In your proof, Alt+Left and Alt+Right ' +
+    'change a step\'s indentation.'
+};
+
+const PaletteDroppable = ({ children }) => {
+  const { setNodeRef } = useDroppable({ id: 'palette' });
+  return (
+    <div ref={setNodeRef} className="puzzle-palette droppable-area" role="region" aria-label="Available steps">
+      {children}
+    </div>
+  );
+};
+
+const WorkspaceDroppable = ({ children }) => {
+  const { setNodeRef } = useDroppable({ id: 'workspace' });
+  return (
+    <div ref={setNodeRef} className="puzzle-workspace droppable-area" role="region" aria-label="Your proof">
+      {children}
+    </div>
+  );
+};
+
+// Countdown as m:ss
+const formatCountdown = (seconds) => {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Fields where Ctrl+Z should undo typing rather than a move
+const isTextField = (element) => {
+  return element?.isContentEditable || ['INPUT', 'TEXTAREA'].includes(element?.tagName);
+};
+
+// Hands a finished attempt to the progress tracker, at most once. The
+// server records its own grade of attempts it graded, found by attemptId.
+const completeAttempt = (attempt, onAttemptComplete) => {
+  if (attempt.recorded || !attempt.result || !onAttemptComplete) return;
+
+  attempt.recorded = true;
+  const { timeTakenSeconds, ...outcome } = getAttemptOutcome(attempt.result);
+  onAttemptComplete(attempt.puzzleId, {
+    ...outcome,
+    attemptId: attempt.attemptId,
+    timeSpentSeconds: timeTakenSeconds ?? Math.round((Date.now() - attempt.startedAt) / 1000),
+    mode: attempt.mode,
+    submittedAt: new Date().toISOString()
+  });
+};
+
+// Leaving or starting over ends the attempt. It only counts once the
+// solution was revealed: a proof that was never submitted hasn't failed.
+// Submitted and solved attempts are recorded when that happens.
+const abandonAttempt = (attempt, onAttemptComplete) => {
+  if (attempt.solutionRevealed) {
+    completeAttempt(attempt, onAttemptComplete);
+  }
+};
+
+const PuzzleDisplay = ({
+  puzzle,
+  mode = 'practice',
+  onNextPuzzle,
+  submissions = [],
+  onSubmitResult,
+  onExamRestore,
+  restartCount = 0,
+  onRestart,
+  onAttemptComplete,
+  recommendation
+}) => {
   const [availableBlocks, setAvailableBlocks] = useState([]);
   const [proofBlocks, setProofBlocks] = useState([]);
   const [activeId, setActiveId] = useState(null); 
   const [blockSelections, setBlockSelections] = useState({});
+  const [blockIndents, setBlockIndents] = useState({});
+  const [blockJustifications, setBlockJustifications] = useState({});
+  const [attemptId, setAttemptId] = useState(null);
+  const [attemptError, setAttemptError] = useState(null);
+  const [solutionRevealed, setSolutionRevealed] = useState(false);
+  const [restarts, setRestarts] = useState(restartCount);
+  const [startedAt, setStartedAt] = useState(() => Date.now());
+  const [now, setNow] = useState(() => Date.now());
+  const [timedResult, setTimedResult] = useState(null);
+  const [resumeOffer, setResumeOffer] = useState(null);
+  const undoHistory = useUndoHistory();
+  const { clear: clearHistory } = undoHistory;
+
+  // The attempt in progress. It is recorded when it is solved or submitted,
+  // or when it is started over or left after the solution was revealed.
+  const attemptRef = useRef({
+    puzzleId: puzzle?.id,
+    attemptId: null,
+    mode,
+    startedAt: Date.now(),
+    result: null,
+    solutionRevealed: false,
+    recorded: false
+  });
+  const onAttemptCompleteRef = useRef(onAttemptComplete);
+
+  // Timed attempts are submitted once, when the proof is right or time runs out
+  const submitTimedRef = useRef(null);
+  const isSubmittingTimedRef = useRef(false);
+
+  useEffect(() => {
+    onAttemptCompleteRef.current = onAttemptComplete;
+  }, [onAttemptComplete]);
+
+  // Leaving the puzzle ends the attempt
+  useEffect(() => {
+    const attempt = attemptRef.current;
+    const report = onAttemptCompleteRef;
+    return () => abandonAttempt(attempt, report.current);
+  }, []);
+
+  const isNested = isNestedPuzzle(puzzle);
+  const isTwoColumn = isTwoColumnPuzzle(puzzle);
+  const justificationPool = useMemo(() => getJustificationPool(puzzle), [puzzle]);
+
+  // Paired steps sit side by side in the palette and only one may be used
+  const twins = useMemo(() => getTwins(puzzle), [puzzle]);
+  const paletteGroups = groupTwins(availableBlocks, twins);
+
+  // Given steps are pinned in the workspace; they fade as the student restarts
+  const givens = useMemo(() => getActiveGivens(puzzle, restarts), [puzzle, restarts]);
+  const givenIds = useMemo(() => givens.map(block => block.id), [givens]);
+  const isGiven = (blockId) => givenIds.includes(blockId);
+  const pinGivens = (steps) => placeGivens(steps, givens, puzzle);
+  const isExam = mode === 'exam';
+  const isTimed = mode === 'timed';
+
+  // Unfinished attempts are saved so the student can come back to them.
+  // Timed attempts aren't, since the clock can't be paused.
+  const savesWorkspace = !isTimed;
+
+  // In exam mode the proof can't change once the final attempt is in, and
+  // in timed mode once it has been submitted
+  const isLocked = (isExam && submissions.some(submission => submission.isFinal)) || timedResult !== null;
+
+  const timeLimit = getTimeLimit(puzzle);
+  const elapsedSeconds = timedResult
+    ? timedResult.timeTakenSeconds
+    : Math.min(timeLimit, Math.floor((now - startedAt) / 1000));
+  const secondsLeft = timeLimit - elapsedSeconds;
 
   useEffect(() => {
     if (puzzle && puzzle.blocks) {
-      // Shuffle the blocks for the puzzle
-      const shuffledBlocks = [...puzzle.blocks].sort(() => Math.random() - 0.5);
+      setSolutionRevealed(false);
+    }
+  }, [puzzle]);
+
+  // Start a fresh attempt with the givens in place and the rest shuffled
+  useEffect(() => {
+    if (puzzle && puzzle.blocks) {
+      const givenBlockIds = new Set(givens.map(block => block.id));
+      const shuffledBlocks = puzzle.blocks
+        .filter(block => !givenBlockIds.has(block.id))
+        .sort(() => Math.random() - 0.5);
       setAvailableBlocks(shuffledBlocks);
-      setProofBlocks([]);
+      setProofBlocks(placeGivens([], givens, puzzle));
       setBlockSelections({}); // Reset selections when puzzle changes
+      setBlockIndents(Object.fromEntries(givens.map(block => [block.id, block.depth || 0])));
+      setBlockJustifications({});
+      clearHistory();
+
+      const startTime = Date.now();
+      setStartedAt(startTime);
+      setNow(startTime);
+      setTimedResult(null);
+      isSubmittingTimedRef.current = false;
+      Object.assign(attemptRef.current, {
+        puzzleId: puzzle.id,
+        attemptId: null,
+        mode,
+        startedAt: startTime,
+        result: null,
+        solutionRevealed: false,
+        recorded: false
+      });
     }
-  }, [puzzle]);
+  }, [puzzle, givens, mode, clearHistory]);
+
+  // Each fresh attempt gets its own count of hints and reveals, kept where
+  // it is graded. The exam attempt is resumed with its submissions so far.
+  useEffect(() => {
+    if (!puzzle || !puzzle.blocks) return;
+
+    let isCurrent = true;
+    setAttemptId(null);
+    setAttemptError(null);
+    gradingService.startAttempt(puzzle, mode)
+      .then(({ attemptId: id, submissions: saved }) => {
+        if (!isCurrent) return;
+        setAttemptId(id);
+        attemptRef.current.attemptId = id;
+        if (mode === 'exam' && onExamRestore) {
+          onExamRestore(puzzle.id, saved);
+        }
+      })
+      .catch(error => {
+        if (!isCurrent) return;
+        console.error('Error starting attempt:', error);
+        setAttemptError(error.message);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [puzzle, givens, mode, onExamRestore]);
+
+  // Offer to resume an attempt left unfinished, until the student decides
+  // or starts working on a fresh one
+  const resumeDecidedRef = useRef(false);
 
+  useEffect(() => {
+    if (!puzzle || !savesWorkspace) return;
+
+    let isCurrent = true;
+    resumeDecidedRef.current = false;
+    setResumeOffer(workspaceService.getLocalWorkspace(puzzle.id));
+    workspaceService.load(puzzle.id).then(saved => {
+      if (isCurrent && !resumeDecidedRef.current) {
+        setResumeOffer(saved);
+      }
+    });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [puzzle, savesWorkspace]);
+
+  // The countdown ticks until the proof is submitted
+  useEffect(() => {
+    if (!isTimed || timedResult) return;
+
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() - startedAt >= timeLimit * 1000) {
+        submitTimedRef.current();
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [isTimed, timedResult, startedAt, timeLimit]);
+
+  // Arrow keys move a picked-up step between the palette and the workspace
   const sensors = useSensors(
     useSensor(PointerSensor),
-    useSensor(KeyboardSensor)
+    useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
   );
 
+  // A step moved to the other list is a new element, so focus follows it there
+  const containerRef = useRef(null);
+  const focusAfterMoveRef = useRef(null);
+
+  useEffect(() => {
+    const blockId = focusAfterMoveRef.current;
+    if (!blockId) return;
+
+    focusAfterMoveRef.current = null;
+    containerRef.current?.querySelector(`[data-id="${CSS.escape(blockId)}"]`)?.focus();
+  });
+
   const findContainer = (id) => {
     if (availableBlocks.find(item => item.id === id)) {
       return 'palette';
@@ -55,16 +320,168 @@ const PuzzleDisplay = ({ puzzle, onNextPuzzle, isLastPuzzle }) => {
     return availableBlocks.find(b => b.id === id) || proofBlocks.find(b => b.id === id);
   }
 
+  const stepNumbers = getStepNumbers(proofBlocks.map(block => blockIndents[block.id] || 0));
+
+  // Live-region announcements read the step itself, not its ID
+  const speakBlock = (id) => {
+    const block = getBlockById(id);
+    return block ? latexToSpeech(block.latex, blockSelections[id]) : 'step';
+  };
+
+  const describePosition = (id) => {
+    if (id === 'palette') return 'the end of the available steps';
+    if (id === 'workspace') return 'the end of your proof';
+
+    const workspaceIndex = proofBlocks.findIndex(item => item.id === id);
+    if (workspaceIndex !== -1) {
+      return `step ${stepNumbers[workspaceIndex]} of ${proofBlocks.length} in your proof`;
+    }
+
+    const paletteIndex = availableBlocks.findIndex(item => item.id === id);
+    return `position ${paletteIndex + 1} of ${availableBlocks.length} in the available steps`;
+  };
+
+  const announcements = {
+    onDragStart: ({ active }) => `Picked up ${speakBlock(active.id)}, at ${describePosition(active.id)}.`,
+    onDragOver: ({ active, over }) => over
+      ? `${speakBlock(active.id)} is over ${describePosition(over.id)}.`
+      : `${speakBlock(active.id)} is not over a place it can be dropped.`,
+    onDragEnd: ({ active, over }) => {
+      if (!over) return `${speakBlock(active.id)} was put back.`;
+      if (findContainer(active.id) === 'palette' && proofBlocks.some(item => item.id === twins.get(active.id))) {
+        return `${speakBlock(active.id)} replaced its twin in your proof.`;
+      }
+      return `${speakBlock(active.id)} was dropped at ${describePosition(over.id)}.`;
+    },
+    onDragCancel: ({ active }) => `Stopped moving ${speakBlock(active.id)}. It is back at ${describePosition(active.id)}.`
+  };
+
   const handleDragStart = (event) => {
+    if (isLocked || isGiven(event.active.id)) return;
+
     const { active } = event;
     setActiveId(active.id);
   };
 
+  // Everything an undo step puts back
+  const workspace = { availableBlocks, proofBlocks, blockSelections, blockIndents, blockJustifications };
+
+  // Moves, indents, selections and justifications are recorded before they
+  // are applied, so they can be undone and an attempt replayed. Working on
+  // the fresh layout turns down the offer to resume.
+  const recordAction = (action) => {
+    resumeDecidedRef.current = true;
+    setResumeOffer(null);
+    undoHistory.record(workspace, action);
+  };
+
+  // Save the attempt once the student has changed something, and while it
+  // can still change
+  const hasChanges = undoHistory.canUndo || undoHistory.canRedo;
+
+  useEffect(() => {
+    if (!savesWorkspace || !hasChanges || isLocked || solutionRevealed) return;
+
+    workspaceService.save(puzzle.id, {
+      palette: availableBlocks.map(block => block.id),
+      workspace: proofBlocks.map(block => block.id),
+      selections: blockSelections,
+      indents: blockIndents,
+      justifications: blockJustifications
+    });
+  }, [puzzle, savesWorkspace, hasChanges, isLocked, solutionRevealed,
+    availableBlocks, proofBlocks, blockSelections, blockIndents, blockJustifications]);
+
+  const restoreWorkspace = (state) => {
+    setAvailableBlocks(state.availableBlocks);
+    setProofBlocks(state.proofBlocks);
+    setBlockSelections(state.blockSelections);
+    setBlockIndents(state.blockIndents);
+    setBlockJustifications(state.blockJustifications);
+  };
+
+  const handleResume = () => {
+    resumeDecidedRef.current = true;
+    restoreWorkspace(rebuildWorkspace(puzzle, resumeOffer, givens));
+    clearHistory();
+    setResumeOffer(null);
+  };
+
+  const handleStartFresh = () => {
+    resumeDecidedRef.current = true;
+    workspaceService.discard(puzzle.id);
+    setResumeOffer(null);
+  };
+
+  const handleUndo = () => {
+    if (isLocked) return;
+
+    const state = undoHistory.undo(workspace);
+    if (state) restoreWorkspace(state);
+  };
+
+  const handleRedo = () => {
+    if (isLocked) return;
+
+    const state = undoHistory.redo(workspace);
+    if (state) restoreWorkspace(state);
+  };
+
+  // Ctrl+Z undoes and Ctrl+Shift+Z redoes (Cmd on macOS)
+  const shortcutsRef = useRef({ handleUndo, handleRedo });
+
+  useEffect(() => {
+    shortcutsRef.current = { handleUndo, handleRedo };
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z' || isTextField(event.target)) return;
+
+      event.preventDefault();
+      if (event.shiftKey) {
+        shortcutsRef.current.handleRedo();
+      } else {
+        shortcutsRef.current.handleUndo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const shiftIndent = (blockId, change) => {
+    setBlockIndents(prev => ({
+      ...prev,
+      [blockId]: clampDepth((prev[blockId] || 0) + change)
+    }));
+  };
+
+  const changeIndent = (blockId, change) => {
+    if (isLocked || isGiven(blockId)) return;
+
+    const depth = clampDepth((blockIndents[blockId] || 0) + change);
+    if (depth === (blockIndents[blockId] || 0)) return;
+
+    recordAction({ type: 'indent', blockId, depth });
+    shiftIndent(blockId, change);
+  };
+
+  // Alt+Arrow keys indent a focused workspace step
+  const handleStepKeyDown = (event, blockId) => {
+    if (!isNested || !event.altKey) return;
+
+    if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
+      event.preventDefault();
+      changeIndent(blockId, event.key === 'ArrowRight' ? 1 : -1);
+    }
+  };
+
   const handleDragEnd = (event) => {
-    const { active, over } = event;
+    const { active, over, delta } = event;
     setActiveId(null);
 
-    if (!over) return;
+    if (!over || isLocked || isGiven(active.id)) return;
 
     const activeId = active.id;
     const overId = over.id;
@@ -78,6 +495,7 @@ const PuzzleDisplay = ({ puzzle, onNextPuzzle, isLastPuzzle }) => {
       // Reordering within the same list
       if (activeContainer === 'palette') {
         if (activeId !== overId) {
+          recordAction({ type: 'move', blockId: activeId, from: 'palette', to: 'palette' });
           setAvailableBlocks((items) => {
             const oldIndex = items.findIndex(item => item.id === activeId);
             const newIndex = items.findIndex(item => item.id === overId);
@@ -85,11 +503,20 @@ const PuzzleDisplay = ({ puzzle, onNextPuzzle, isLastPuzzle }) => {
           });
         }
       } else if (activeContainer === 'workspace') {
-         if (activeId !== overId) {
+        // Dragging a step sideways changes its indentation
+        const indentChange = isNested ? Math.round(delta.x / INDENT_WIDTH) : 0;
+        if (activeId === overId && indentChange === 0) return;
+
+        recordAction({ type: 'move', blockId: activeId, from: 'workspace', to: 'workspace' });
+        if (indentChange !== 0) {
+          shiftIndent(activeId, indentChange);
+        }
+
+        if (activeId !== overId) {
           setProofBlocks((items) => {
             const oldIndex = items.findIndex(item => item.id === activeId);
             const newIndex = items.findIndex(item => item.id === overId);
-            return arrayMove(items, oldIndex, newIndex);
+            return pinGivens(arrayMove(items, oldIndex, newIndex));
           });
         }
       }
@@ -99,18 +526,38 @@ const PuzzleDisplay = ({ puzzle, onNextPuzzle, isLastPuzzle }) => {
       if (activeContainer === 'palette') {
         itemToMove = availableBlocks.find(item => item.id === activeId);
         if (!itemToMove) return;
+
+        recordAction({ type: 'move', blockId: activeId, from: 'palette', to: 'workspace' });
+        focusAfterMoveRef.current = activeId;
+        const placedTwin = proofBlocks.find(item => item.id === twins.get(activeId));
+        if (placedTwin) {
+          swapTwins(itemToMove, placedTwin);
+          return;
+        }
+
         setAvailableBlocks(prev => prev.filter(item => item.id !== activeId));
         setProofBlocks(prev => {
             const overIndex = prev.findIndex(item => item.id === overId);
             if (overIndex !== -1) {
-                return [...prev.slice(0, overIndex), itemToMove, ...prev.slice(overIndex)];
+                return pinGivens([...prev.slice(0, overIndex), itemToMove, ...prev.slice(overIndex)]);
             }
-            return [...prev, itemToMove];
+            return pinGivens([...prev, itemToMove]);
         });
       } else {
         itemToMove = proofBlocks.find(item => item.id === activeId);
         if (!itemToMove) return;
-        setProofBlocks(prev => prev.filter(item => item.id !== activeId));
+
+        recordAction({ type: 'move', blockId: activeId, from: 'workspace', to: 'palette' });
+        focusAfterMoveRef.current = activeId;
+        setProofBlocks(prev => pinGivens(prev.filter(item => item.id !== activeId)));
+        setBlockIndents(prev => {
+          const { [activeId]: _removed, ...rest } = prev;
+          return rest;
+        });
+        setBlockJustifications(prev => {
+          const { [activeId]: _removed, ...rest } = prev;
+          return rest;
+        });
         setAvailableBlocks(prev => {
             const overIndex = prev.findIndex(item => item.id === overId);
             if (overIndex !== -1) {
@@ -122,7 +569,22 @@ const PuzzleDisplay = ({ puzzle, onNextPuzzle, isLastPuzzle }) => {
     }
   };
   
+  // Using one twin puts the other back in the palette; the new twin takes
+  // over its place, indentation and justification
+  const swapTwins = (block, placedTwin) => {
+    const moveEntry = (entries) => {
+      const { [placedTwin.id]: value, ...rest } = entries;
+      return value === undefined ? rest : { ...rest, [block.id]: value };
+    };
+
+    setProofBlocks(prev => prev.map(item => item.id === placedTwin.id ? block : item));
+    setAvailableBlocks(prev => prev.map(item => item.id === block.id ? placedTwin : item));
+    setBlockIndents(moveEntry);
+    setBlockJustifications(moveEntry);
+  };
+
   const handleSelectionChange = (blockId, varType, value) => {
+    recordAction({ type: 'select', blockId, variable: varType, value });
     setBlockSelections(prev => ({
       ...prev,
       [blockId]: {
@@ -132,45 +594,123 @@ const PuzzleDisplay = ({ puzzle, onNextPuzzle, isLastPuzzle }) => {
     }));
   };
   
+  const handleJustificationChange = (blockId, reason) => {
+    if (isLocked || isGiven(blockId)) return;
+
+    recordAction({ type: 'justify', blockId, reason });
+    setBlockJustifications(prev => ({
+      ...prev,
+      [blockId]: reason
+    }));
+  };
+
+  // Practice attempts end when the proof is correct. Only proofs the student
+  // has added to count as attempts. Timed attempts only count once submitted.
+  const handleValidated = useCallback((result) => {
+    const attempt = attemptRef.current;
+    if (attempt.recorded) return;
+
+    if (attempt.mode === 'timed') {
+      if (result?.isCorrect) submitTimedRef.current();
+      return;
+    }
+
+    attempt.result = result?.details?.userBlocks > result?.details?.givenBlocks ? result : null;
+    if (attempt.result?.isCorrect) {
+      completeAttempt(attempt, onAttemptCompleteRef.current);
+      workspaceService.discard(attempt.puzzleId);
+    }
+  }, []);
+
+  // Grades a timed attempt, timed from when it was started where it is
+  // graded. If grading fails when time is up, the next tick of the countdown
+  // tries again.
+  const submitTimedAttempt = async () => {
+    if (isSubmittingTimedRef.current) return;
+    isSubmittingTimedRef.current = true;
+
+    try {
+      const result = await gradingService.validate(puzzle, proofBlocks.map(block => block.id), {
+        selections: blockSelections,
+        indents: blockIndents,
+        justifications: blockJustifications,
+        givens: givenIds,
+        attemptId
+      });
+      setTimedResult(result);
+      completeAttempt(Object.assign(attemptRef.current, { result, recorded: false }), onAttemptCompleteRef.current);
+    } catch (error) {
+      console.error('Error submitting timed proof:', error);
+      isSubmittingTimedRef.current = false;
+    }
+  };
+
+  useEffect(() => {
+    submitTimedRef.current = submitTimedAttempt;
+  });
+
+  // Record every exam submission; the last one is the final result
+  const handleSubmit = (result) => {
+    if (onSubmitResult) {
+      onSubmitResult(puzzle.id, result);
+    }
+
+    // Each submission is an attempt, timed from the one before
+    const attempt = attemptRef.current;
+    completeAttempt(Object.assign(attempt, { result, recorded: false }), onAttemptCompleteRef.current);
+    attempt.startedAt = Date.now();
+    attempt.recorded = result.isFinal;
+    attempt.result = null;
+    if (result.isFinal) {
+      workspaceService.discard(puzzle.id);
+    }
+  };
+
+  // Starting over lays the puzzle out again, with fewer givens if they fade
   const handleReset = () => {
-    if (puzzle && puzzle.blocks) {
-      const shuffledBlocks = [...puzzle.blocks].sort(() => Math.random() - 0.5);
-      setAvailableBlocks(shuffledBlocks);
-      setProofBlocks([]);
-      setBlockSelections({}); // Reset selections
+    if ((isExam && isLocked) || !puzzle) return;
+
+    abandonAttempt(attemptRef.current, onAttemptCompleteRef.current);
+    workspaceService.discard(puzzle.id);
+    setSolutionRevealed(false);
+    setRestarts(prev => prev + 1);
+    if (onRestart) {
+      onRestart(puzzle.id);
     }
   };
 
-  const handleShowSolution = () => {
-    if (puzzle && puzzle.blocks && puzzle.solutionOrder) {
-      const solutionBlocks = puzzle.solutionOrder.map(id => 
+  const handleShowSolution = async () => {
+    if (!solutionRevealed && !window.confirm('Revealing the solution sets your score for this puzzle to 0. Show it anyway?')) {
+      return;
+    }
+
+    if (!puzzle || !puzzle.blocks) return;
+
+    try {
+      const { solutionOrder, depths, justifications = {}, selections = {} } = await gradingService.revealSolution(puzzle, attemptId);
+      setSolutionRevealed(true);
+      // Scores 0 even if the revealed proof is never graded
+      const attempt = attemptRef.current;
+      attempt.solutionRevealed = true;
+      attempt.result = { score: 0, isCorrect: false, hintsUsed: attempt.result?.hintsUsed ?? 0, solutionRevealed: true };
+      recordAction({ type: 'solution' });
+      workspaceService.discard(puzzle.id);
+      const solutionBlocks = solutionOrder.map(id => 
         puzzle.blocks.find(block => block.id === id)
       ).filter(Boolean);
       
       setProofBlocks(solutionBlocks);
-      setAvailableBlocks([]);
+      setBlockIndents(Object.fromEntries(solutionBlocks.map(block => [block.id, depths[block.id] || 0])));
+      setBlockJustifications(justifications);
+      setBlockSelections(selections);
+      // Distractors and steps only used by alternative proofs stay behind
+      setAvailableBlocks(puzzle.blocks.filter(block => !solutionOrder.includes(block.id)));
+    } catch (error) {
+      console.error('Error fetching solution:', error);
+      window.alert(`The solution could not be loaded: ${error.message}`);
     }
   };
 
-  // Define reusable droppable wrappers
-  const PaletteDroppable = ({ children }) => {
-    const { setNodeRef } = useDroppable({ id: 'palette' });
-    return (
-      <div ref={setNodeRef} className="puzzle-palette droppable-area">
-        {children}
-      </div>
-    );
-  };
-
-  const WorkspaceDroppable = ({ children }) => {
-    const { setNodeRef } = useDroppable({ id: 'workspace' });
-    return (
-      <div ref={setNodeRef} className="puzzle-workspace droppable-area">
-        {children}
-      </div>
-    );
-  };
-    
   const activeBlock = activeId ? getBlockById(activeId) : null;
 
   if (!puzzle) {
@@ -183,67 +723,210 @@ const PuzzleDisplay = ({ puzzle, onNextPuzzle, isLastPuzzle }) => {
       collisionDetection={closestCorners}
       onDragStart={handleDragStart}
       onDragEnd={handleDragEnd}
+      accessibility={{ announcements, screenReaderInstructions: SCREEN_READER_INSTRUCTIONS }}
     >
-      <div className="puzzle-container">        <div className="puzzle-header">
+      <div className="puzzle-container" ref={containerRef}>        <div className="puzzle-header">
           <h2><KatexRenderer latex={puzzle.title} /></h2>
           <p><strong><KatexRenderer latex={puzzle.statement} /></strong></p>
+
+          {isTimed && (
+            <div
+              className={`countdown ${secondsLeft <= 30 ? 'warning' : ''} ${timedResult ? 'stopped' : ''}`}
+              role="timer"
+              aria-label={timedResult ? `Finished in ${formatCountdown(elapsedSeconds)}` : 'Time left'}
+            >
+              ⏱️ {timedResult ? `Finished in ${formatCountdown(elapsedSeconds)}` : formatCountdown(secondsLeft)}
+            </div>
+          )}
           
+          {resumeOffer && (
+            <div className="resume-prompt" role="group" aria-label="Unfinished attempt">
+              <span>
+                📝 You have an unfinished attempt at this puzzle from {new Date(resumeOffer.savedAt).toLocaleString()}.
+              </span>
+              <button className="control-button resume" onClick={handleResume}>
+                ▶ Resume
+              </button>
+              <button className="control-button reset" onClick={handleStartFresh}>
+                🔄 Restart
+              </button>
+            </div>
+          )}
+
           <div className="puzzle-controls">
+            <button
+              className="control-button history"
+              onClick={handleUndo}
+              disabled={isLocked || !undoHistory.canUndo}
+              title="Undo (Ctrl+Z)"
+            >
+              ↶ Undo
+            </button>
+            <button
+              className="control-button history"
+              onClick={handleRedo}
+              disabled={isLocked || !undoHistory.canRedo}
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              ↷ Redo
+            </button>
             <button 
               className="control-button reset" 
               onClick={handleReset}
+              disabled={isExam && isLocked}
               title="Shuffle blocks and start over"
             >
               🔄 Reset
             </button>
-            <button 
-              className="control-button solution" 
-              onClick={handleShowSolution}
-              title="Show the correct solution"
-            >
-              💡 Show Solution
-            </button>
+            {mode === 'practice' && (
+              <button 
+                className="control-button solution" 
+                onClick={handleShowSolution}
+                title="Show the correct solution (your score becomes 0)"
+              >
+                💡 Show Solution
+              </button>
+            )}
           </div>
         </div>
 
         <div className="dnd-columns-container">
           <div className="puzzle-palette-container">
             <h3>Available Steps:</h3>
-            <SortableContext items={availableBlocks.map(b => b.id)} strategy={verticalListSortingStrategy} id="palette">
+            <SortableContext items={paletteGroups.flat().map(b => b.id)} strategy={verticalListSortingStrategy} id="palette">
               <PaletteDroppable>
-                {availableBlocks.map(block => (
-                  <ProofBlock
-                    key={block.id}
-                    id={block.id}
-                    latexContent={block.latex}
-                    isInWorkspace={false}
-                    blockSelections={blockSelections[block.id] || {}}
-                    onSelectionChange={handleSelectionChange}
-                  />
-                ))}
+                {paletteGroups.map(group => {
+                  const blocks = group.map(block => (
+                    <ProofBlock
+                      key={block.id}
+                      id={block.id}
+                      latexContent={block.latex}
+                      isInWorkspace={false}
+                      isLocked={isLocked}
+                      blockSelections={blockSelections[block.id] || {}}
+                      onSelectionChange={handleSelectionChange}
+                    />
+                  ));
+
+                  return group.length > 1 ? (
+                    <div key={group[0].id} className="twin-pair" role="group" aria-label="Paired steps, use only one">
+                      <span className="twin-label">⚖️ Pick one</span>
+                      {blocks}
+                    </div>
+                  ) : blocks;
+                })}
                 {availableBlocks.length === 0 && (
                   <div className="empty-message">All blocks are in use</div>
                 )}
               </PaletteDroppable>
             </SortableContext>
+
+            {isTwoColumn && (
+              <div className="justification-pool">
+                <h3>Justifications:</h3>
+                <ul className="justification-list">
+                  {justificationPool.map(reason => (
+                    <li
+                      key={reason}
+                      className="justification-chip"
+                      title={TERM_DEFINITIONS.get(reason.toLowerCase()) || reason}
+                    >
+                      {reason}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
 
           <div className="puzzle-workspace-container">
             <h3>Your Proof:</h3>
+            {isNested && (
+              <p className="workspace-help">
+                This proof has nested parts. Drag a step sideways, use the arrow buttons, or press
+                Alt+→ / Alt+← on a step to change its indentation.
+              </p>
+            )}
+            {givens.length > 0 && (
+              <p className="workspace-help">
+                📌 Given steps are already in place. Build the rest of the proof around them.
+              </p>
+            )}
+            {twins.size > 0 && (
+              <p className="workspace-help">
+                ⚖️ Paired steps differ in one small detail and only one of each pair is right.
+                Placing one of them swaps out the other.
+              </p>
+            )}
+            {isTwoColumn && (
+              <p className="workspace-help">
+                This is a two-column proof. Pick the justification for each step from the pool.
+              </p>
+            )}
             <SortableContext items={proofBlocks.map(b => b.id)} strategy={verticalListSortingStrategy} id="workspace">
               <WorkspaceDroppable>
-                {proofBlocks.map((block, index) => (
-                  <div key={block.id} className="proof-step">
-                    <span className="step-number">{index + 1}.</span>
-                    <ProofBlock
-                      id={block.id}
-                      latexContent={block.latex}
-                      isInWorkspace={true}
-                      blockSelections={blockSelections[block.id] || {}}
-                      onSelectionChange={handleSelectionChange}
-                    />
-                  </div>
-                ))}
+                {proofBlocks.map((block, index) => {
+                  const depth = blockIndents[block.id] || 0;
+                  const given = isGiven(block.id);
+                  return (
+                    <div
+                      key={block.id}
+                      className={`proof-step ${given ? 'given' : ''} ${isTwoColumn ? 'two-column' : ''}`}
+                      style={{ marginLeft: depth * INDENT_WIDTH }}
+                      onKeyDown={(event) => handleStepKeyDown(event, block.id)}
+                    >
+                      <span className="step-number">{stepNumbers[index]}.</span>
+                      <ProofBlock
+                        id={block.id}
+                        latexContent={block.latex}
+                        isInWorkspace={true}
+                        isLocked={isLocked}
+                        isGiven={given}
+                        blockSelections={blockSelections[block.id] || {}}
+                        onSelectionChange={handleSelectionChange}
+                      />
+                      {given && (
+                        <span className="given-marker" title="Given step">📌</span>
+                      )}
+                      {isNested && !given && (
+                        <div className="indent-controls">
+                          <button
+                            className="indent-button"
+                            onClick={() => changeIndent(block.id, -1)}
+                            disabled={isLocked || depth === 0}
+                            aria-label={`Outdent step ${stepNumbers[index]}`}
+                            title="Outdent (Alt+←)"
+                          >
+                            ⇤
+                          </button>
+                          <button
+                            className="indent-button"
+                            onClick={() => changeIndent(block.id, 1)}
+                            disabled={isLocked || depth === MAX_DEPTH}
+                            aria-label={`Indent step ${stepNumbers[index]}`}
+                            title="Indent (Alt+→)"
+                          >
+                            ⇥
+                          </button>
+                        </div>
+                      )}
+                      {isTwoColumn && !given && (
+                        <select
+                          className="justification-select"
+                          value={blockJustifications[block.id] || ''}
+                          onChange={(event) => handleJustificationChange(block.id, event.target.value)}
+                          disabled={isLocked}
+                          aria-label={`Justification for step ${stepNumbers[index]}`}
+                        >
+                          <option value="">Justification…</option>
+                          {justificationPool.map(reason => (
+                            <option key={reason} value={reason}>{reason}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  );
+                })}
                 {proofBlocks.length === 0 && (
                   <div className="empty-message">Drag steps here to build your proof</div>
                 )}
@@ -252,12 +935,45 @@ const PuzzleDisplay = ({ puzzle, onNextPuzzle, isLastPuzzle }) => {
           </div>
         </div>
 
-        {/* Validation Display */}        <ProofValidationDisplay 
+        {/* Validation Display: live in practice mode, on submit in exam mode */}
+        {isExam ? (
+          <ExamSubmissionPanel
+            puzzle={puzzle}
+            proofBlocks={proofBlocks}
+            blockSelections={blockSelections}
+            blockIndents={blockIndents}
+            blockJustifications={blockJustifications}
+            givens={givenIds}
+            attemptId={attemptId}
+            submissions={submissions}
+            onSubmit={handleSubmit}
+            onNextPuzzle={onNextPuzzle}
+            recommendation={recommendation}
+          />
+        ) : (
+          <ProofValidationDisplay 
+            puzzle={puzzle}
+            proofBlocks={proofBlocks}
+            blockSelections={blockSelections}
+            blockIndents={blockIndents}
+            blockJustifications={blockJustifications}
+            givens={givenIds}
+            attemptId={attemptId}
+            attemptError={attemptError}
+            timing={isTimed ? { elapsedSeconds, timeLimitSeconds: timeLimit, result: timedResult } : null}
+            onValidated={handleValidated}
+            onReset={handleReset}
+            onNextPuzzle={onNextPuzzle}
+            recommendation={recommendation}
+          />
+        )}
+
+        <ProofPrintView
           puzzle={puzzle}
           proofBlocks={proofBlocks}
-          onReset={handleReset}
-          onNextPuzzle={onNextPuzzle}
-          isLastPuzzle={isLastPuzzle}
+          blockSelections={blockSelections}
+          blockIndents={blockIndents}
+          blockJustifications={blockJustifications}
         />
       </div>
 
@@ -1,11 +1,15 @@
 import React, { useState } from 'react';
-import ProofValidator, { ValidationUtils } from '../../utils/ProofValidator';
+import ProofValidator, { ValidationUtils } from '../../../shared/ProofValidator.js';
 import { PuzzleLoader } from '../../services/puzzleLoader';
 
 const ValidatorDemo = () => {
   // Get the puzzle from the new JSON system
   const testPuzzle = PuzzleLoader.getPuzzleById('proof1'); // This is the n² + n³ = Θ(n³) puzzle
-  const [validator] = useState(() => new ProofValidator(testPuzzle));
+  const twinPuzzle = PuzzleLoader.getPuzzleById('proof3'); // Has paired distractors
+  const [validators] = useState(() => ({
+    proof1: new ProofValidator(testPuzzle),
+    proof3: new ProofValidator(twinPuzzle)
+  }));
   const [testOrder, setTestOrder] = useState([]);
   const [result, setResult] = useState(null);
 
@@ -29,12 +33,18 @@ const ValidatorDemo = () => {
     {
       name: "Missing middle blocks",
       order: ['block1-1', 'block1-5', 'block1-11']
+    },
+    {
+      // Only the twin loses credit: 8 blocks correctly positioned, none wrong
+      name: "proof3: wrong twin for step 6",
+      puzzleId: 'proof3',
+      order: twinPuzzle.solutionOrder.map(id => id === 'block3-6' ? 'block3-6-twin' : id)
     }
   ];
 
-  const runTest = (order) => {
+  const runTest = ({ order, puzzleId = 'proof1' }) => {
     setTestOrder(order);
-    const validation = validator.validateProof(order);
+    const validation = validators[puzzleId].validateProof(order);
     setResult(validation);
   };
 
@@ -47,7 +57,7 @@ const ValidatorDemo = () => {
         {testSequences.map((test, index) => (
           <button
             key={index}
-            onClick={() => runTest(test.order)}
+            onClick={() => runTest(test)}
             style={{
               display: 'block',
               margin: '5px 0',
@@ -85,6 +95,8 @@ const ValidatorDemo = () => {
                 <li>Correct blocks: {result.details.correctBlocks}</li>
                 <li>Missing blocks: {result.details.missingBlocks}</li>
                 <li>Extra blocks: {result.details.extraBlocks}</li>
+                <li>Correctly positioned: {result.details.correctlyPositioned?.length ?? 0}</li>
+                <li>Wrongly positioned: {result.details.incorrectlyPositioned?.length ?? 0}</li>
               </ul>
             </div>
           )}
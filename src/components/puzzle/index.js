@@ -2,4 +2,7 @@
 export { default as PuzzleDisplay } from './PuzzleDisplay';
 export { default as ProofBlock } from './ProofBlock';
 export { default as ProofValidationDisplay } from './ProofValidationDisplay';
+export { default as ExamSubmissionPanel } from './ExamSubmissionPanel';
+export { default as ProofExportActions } from './ProofExportActions';
+export { default as ProofPrintView } from './ProofPrintView';
 export { default as ValidatorDemo } from './ValidatorDemo';
@@ -1,12 +1,20 @@
 import React, { useEffect, useRef } from 'react';
 import katex from 'katex';
+import {
+  getPlaceholders,
+  getPlaceholderOptions,
+  getDefaultPlaceholderValue,
+  substitutePlaceholders,
+  INPUT_PLACEHOLDER
+} from '../../../shared/placeholders.js';
+import { MAX_EXPRESSION_LENGTH } from '../../../shared/expressions.js';
 
 const KatexRenderer = ({ latex, variables = {}, onVariableChange, isInteractive = false, blockId = null }) => {
   const containerRef = useRef();
 
   const createDropdown = (uniqueKey, currentValue, onChange) => {
     const varType = uniqueKey.split('_')[0]; // Extract type from unique key
-    const options = getDropdownOptions(varType);
+    const options = getPlaceholderOptions(varType);
     const select = document.createElement('select');
     
     // Use CSS classes for styling instead of inline styles
@@ -30,50 +38,31 @@ const KatexRenderer = ({ latex, variables = {}, onVariableChange, isInteractive
     return select;
   };
 
-  const getDropdownOptions = (type) => {
-    switch (type) {
-      case 'op':
-        return [
-          ['<', '<'],
-          ['\\leq', '≤'],
-          ['=', '='],
-          ['\\geq', '≥'],
-          ['>', '>'],
-          ['\\neq', '≠']
-        ];
-      case 'quantifier':
-        return [
-          ['\\forall', '∀ (for all)'],
-          ['\\exists', '∃ (exists)'],
-          ['\\exists!', '∃! (exactly one)'],
-          ['\\nexists', '∄ (does not exist)']
-        ];
-      case 'set':
-      case 'setop':
-        return [
-          ['\\in', '∈ (element of)'],
-          ['\\notin', '∉ (not element of)'],
-          ['\\subset', '⊂ (proper subset)'],
-          ['\\subseteq', '⊆ (subset)'],
-          ['\\supset', '⊃ (proper superset)'],
-          ['\\supseteq', '⊇ (superset)'],
-          ['\\emptyset', '∅ (empty set)']
-        ];
-      case 'logic':
-        return [
-          ['\\land', '∧ (and)'],
-          ['\\lor', '∨ (or)'],
-          ['\\neg', '¬ (not)']
-        ];
-      case 'complexity':
-        return [
-          ['O', 'O (upper bound)'],
-          ['\\Omega', 'Ω (lower bound)'],
-          ['\\Theta', 'Θ (tight bound)']
-        ];
-      default:
-        return [['', 'Select...']];
-    }
+  // Free-response blank; the answer is committed when the field loses focus
+  // or Enter is pressed, so re-rendering doesn't interrupt typing
+  const createInput = (uniqueKey, currentValue, onChange) => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'input-placeholder';
+    input.value = currentValue;
+    input.placeholder = 'e.g. (k+1)(k+2)/2';
+    input.maxLength = MAX_EXPRESSION_LENGTH;
+    input.setAttribute('aria-label', 'Type an expression');
+    input.size = Math.max(8, currentValue.length + 2);
+
+    input.addEventListener('change', (e) => {
+      e.stopPropagation();
+      onChange(uniqueKey, e.target.value.trim());
+    });
+
+    // Keep typing and clicking from starting a drag
+    input.addEventListener('pointerdown', (e) => e.stopPropagation());
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') input.blur();
+    });
+
+    return input;
   };
 
   const renderMixedContent = () => {
@@ -81,20 +70,12 @@ const KatexRenderer = ({ latex, variables = {}, onVariableChange, isInteractive
 
     try {
       // Find all placeholder patterns
-      const placeholderPattern = /\{\{(\w+)\}\}/g;
-      const placeholders = [...latex.matchAll(placeholderPattern)];
+      const placeholders = getPlaceholders(latex);
       
       if (placeholders.length === 0 || !isInteractive) {
         // No placeholders or not interactive, render as pure LaTeX
-        let processedLatex = latex;
-        
-        // Replace placeholders with their selected values
-        placeholders.forEach((match, index) => {
-          const [fullMatch, varType] = match;
-          const uniqueKey = `${varType}_${index}`;
-          const value = variables[uniqueKey] || getDropdownOptions(varType)[0][0];
-          processedLatex = processedLatex.replace(fullMatch, value);
-        });
+        // with placeholders replaced by their selected values
+        const processedLatex = substitutePlaceholders(latex, variables);
         
         katex.render(processedLatex, containerRef.current, {
           throwOnError: false,
@@ -109,10 +90,7 @@ const KatexRenderer = ({ latex, variables = {}, onVariableChange, isInteractive
       // Split latex by placeholders and render mixed content
       let lastIndex = 0;
       
-      placeholders.forEach((match, index) => {
-        const [fullMatch, varType] = match;
-        const matchStart = match.index;
-        
+      placeholders.forEach(({ key: uniqueKey, type: varType, match: fullMatch, start: matchStart }) => {
         // Render LaTeX before this placeholder
         if (matchStart > lastIndex) {
           const latexBefore = latex.substring(lastIndex, matchStart);
@@ -123,11 +101,12 @@ const KatexRenderer = ({ latex, variables = {}, onVariableChange, isInteractive
           }
         }
         
-        // Create unique key for this specific dropdown instance
-        const uniqueKey = `${varType}_${index}`;
-        const currentValue = variables[uniqueKey] || getDropdownOptions(varType)[0][0];
-        const dropdown = createDropdown(uniqueKey, currentValue, (key, value) => onVariableChange(key, value));
-        containerRef.current.appendChild(dropdown);
+        // Create a dropdown, or a text field for free-response blanks, for
+        // this specific placeholder instance
+        const currentValue = variables[uniqueKey] || getDefaultPlaceholderValue(varType);
+        const createControl = varType === INPUT_PLACEHOLDER ? createInput : createDropdown;
+        const control = createControl(uniqueKey, currentValue, (key, value) => onVariableChange(key, value));
+        containerRef.current.appendChild(control);
         
         lastIndex = matchStart + fullMatch.length;
       });
@@ -0,0 +1,30 @@
+import React from 'react';
+import styles from './ModeSwitch.module.css';
+
+const MODES = [
+  { id: 'practice', label: '🧩 Practice', title: 'Live feedback, hints and solutions' },
+  { id: 'exam', label: '📝 Exam', title: 'No feedback until you submit, limited attempts; a puzzle stays in exam mode until it is submitted' },
+  { id: 'timed', label: '⏱️ Timed', title: 'Beat the clock; your proof is submitted when time runs out' }
+];
+
+// Locked while an exam is in progress, until its last attempt is submitted
+const ModeSwitch = ({ mode, onModeChange, isLocked = false }) => {
+  return (
+    <div className={styles.modeSwitch} role="group" aria-label="Puzzle mode">
+      {MODES.map(option => (
+        <button
+          key={option.id}
+          className={`${styles.modeOption} ${mode === option.id ? styles.active : ''}`}
+          onClick={() => onModeChange(option.id)}
+          aria-pressed={mode === option.id}
+          disabled={isLocked && mode !== option.id}
+          title={isLocked ? 'Submit your exam attempts on this puzzle first' : option.title}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ModeSwitch;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { summarizeProgress } from '../../../shared/progress.js';
+import styles from './ProgressSummary.module.css';
+
+const formatTime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${seconds}s`;
+};
+
+const ProgressSummary = ({ puzzles, progress }) => {
+  const summary = summarizeProgress(progress, puzzles.map(puzzle => puzzle.id));
+  const percentSolved = summary.total > 0 ? Math.round((summary.solved / summary.total) * 100) : 0;
+
+  return (
+    <section className={styles.progressSummary} aria-label="Your progress">
+      <div className={styles.solved}>
+        <span className={styles.solvedCount}>
+          ✓ {summary.solved} of {summary.total} puzzles solved
+        </span>
+        <div
+          className={styles.progressBar}
+          role="progressbar"
+          aria-valuenow={percentSolved}
+          aria-valuemin={0}
+          aria-valuemax={100}
+        >
+          <div className={styles.progressFill} style={{ width: `${percentSolved}%` }} />
+        </div>
+      </div>
+
+      {summary.attempted > 0 ? (
+        <dl className={styles.stats}>
+          <div>
+            <dt>Average best score</dt>
+            <dd>{summary.averageBestScore}%</dd>
+          </div>
+          <div>
+            <dt>Attempts</dt>
+            <dd>{summary.attempts}</dd>
+          </div>
+          <div>
+            <dt>Hints used</dt>
+            <dd>{summary.hintsUsed}</dd>
+          </div>
+          <div>
+            <dt>Time spent</dt>
+            <dd>{formatTime(summary.timeSpentSeconds)}</dd>
+          </div>
+        </dl>
+      ) : (
+        <p className={styles.empty}>Solve a puzzle to start tracking your progress.</p>
+      )}
+    </section>
+  );
+};
+
+export default ProgressSummary;
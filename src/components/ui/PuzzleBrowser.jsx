@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useFilteredPuzzles } from '../../hooks/usePuzzles';
+import { PuzzleLoader } from '../../services/puzzleLoader';
+import { getPuzzlePath } from '../../utils/routes';
+import styles from './PuzzleBrowser.module.css';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const STATUSES = {
+  new: { icon: '○', label: 'Not started' },
+  attempted: { icon: '◐', label: 'In progress' },
+  solved: { icon: '✓', label: 'Solved' }
+};
+
+const getStatus = (record) => {
+  if (record?.solved) return 'solved';
+  return record?.attempts > 0 ? 'attempted' : 'new';
+};
+
+const getTitle = (puzzle) => puzzle.displayTitle || puzzle.title;
+
+// Sort orders; each compares two puzzles given the list order and progress
+const SORTS = {
+  default: {
+    label: 'List order',
+    compare: (a, b, { order }) => order(a) - order(b)
+  },
+  title: {
+    label: 'Title (A–Z)',
+    compare: (a, b) => getTitle(a).localeCompare(getTitle(b))
+  },
+  difficulty: {
+    label: 'Easiest first',
+    compare: (a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty)
+  },
+  status: {
+    label: 'Unsolved first',
+    compare: (a, b, { progress }) => {
+      const rank = { attempted: 0, new: 1, solved: 2 };
+      return rank[getStatus(progress[a.id])] - rank[getStatus(progress[b.id])];
+    }
+  },
+  score: {
+    label: 'Lowest best score first',
+    compare: (a, b, { progress }) => (progress[a.id]?.bestScore ?? 0) - (progress[b.id]?.bestScore ?? 0)
+  }
+};
+
+// Browses the puzzles of the current data source by category, with
+// difficulty, tag and completion filters, text search and sorting
+const PuzzleBrowser = ({ puzzles, isUsingApi, currentPuzzle, progress = {} }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [search, setSearch] = useState('');
+  const [difficulty, setDifficulty] = useState('');
+  const [tags, setTags] = useState([]);
+  const [status, setStatus] = useState('');
+  const [sort, setSort] = useState('default');
+
+  const { results, loading, error } = useFilteredPuzzles({ difficulty, tags, search }, isUsingApi && isOpen);
+
+  const allTags = [...new Set(puzzles.flatMap(puzzle => puzzle.tags || []))].sort();
+  const solvedCount = puzzles.filter(puzzle => progress[puzzle.id]?.solved).length;
+
+  // Puzzles found by the server but missing from the list go last
+  const order = (puzzle) => {
+    const index = puzzles.findIndex(item => item.id === puzzle.id);
+    return index === -1 ? puzzles.length : index;
+  };
+
+  const shown = results
+    .filter(puzzle => !status || getStatus(progress[puzzle.id]) === status)
+    .sort((a, b) => SORTS[sort].compare(a, b, { order, progress }) || order(a) - order(b));
+
+  // One section per category, in the order categories first appear
+  const sections = [...new Set([...puzzles, ...shown].map(puzzle => puzzle.category))]
+    .map(category => ({
+      category,
+      puzzles: shown.filter(puzzle => puzzle.category === category)
+    }))
+    .filter(section => section.puzzles.length > 0);
+
+  const hasFilters = search || difficulty || tags.length > 0 || status;
+
+  const toggleTag = (tag) => {
+    setTags(prev => prev.includes(tag) ? prev.filter(item => item !== tag) : [...prev, tag]);
+  };
+
+  const clearFilters = () => {
+    setSearch('');
+    setDifficulty('');
+    setTags([]);
+    setStatus('');
+  };
+
+  return (
+    <section className={styles.puzzleBrowser} aria-label="Puzzle browser">
+      <button
+        className={styles.toggle}
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        aria-controls="puzzle-browser-panel"
+      >
+        <span>📚 Browse puzzles</span>
+        <span className={styles.toggleSummary}>
+          {solvedCount} of {puzzles.length} solved {isOpen ? '▴' : '▾'}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div id="puzzle-browser-panel" className={styles.panel}>
+          <div className={styles.controls}>
+            <input
+              type="search"
+              className={styles.search}
+              value={search}
+              onChange={(event) => setSearch(event.target.value)}
+              placeholder="Search titles, statements and tags"
+              aria-label="Search puzzles"
+            />
+            <select value={difficulty} onChange={(event) => setDifficulty(event.target.value)} aria-label="Difficulty">
+              <option value="">All difficulties</option>
+              {DIFFICULTIES.map(level => (
+                <option key={level} value={level}>{level[0].toUpperCase() + level.slice(1)}</option>
+              ))}
+            </select>
+            <select value={status} onChange={(event) => setStatus(event.target.value)} aria-label="Completion status">
+              <option value="">Any status</option>
+              {Object.entries(STATUSES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select value={sort} onChange={(event) => setSort(event.target.value)} aria-label="Sort by">
+              {Object.entries(SORTS).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {hasFilters && (
+              <button className={styles.clearButton} onClick={clearFilters}>
+                Clear filters
+              </button>
+            )}
+          </div>
+
+          {allTags.length > 0 && (
+            <div className={styles.tags} role="group" aria-label="Filter by tag">
+              {allTags.map(tag => (
+                <button
+                  key={tag}
+                  className={`${styles.tag} ${tags.includes(tag) ? styles.selected : ''}`}
+                  onClick={() => toggleTag(tag)}
+                  aria-pressed={tags.includes(tag)}
+                >
+                  {tag}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {error && <p className={styles.error}>⚠️ The server search failed: {error}</p>}
+
+          <div aria-live="polite" aria-busy={loading}>
+            {loading ? (
+              <p className={styles.empty}>Searching...</p>
+            ) : sections.length === 0 ? (
+              <p className={styles.empty}>No puzzles match these filters.</p>
+            ) : (
+              sections.map(section => (
+                <div key={section.category} className={styles.section}>
+                  <h3 className={styles.sectionTitle}>
+                    {PuzzleLoader.getCategoryName(section.category)}
+                    <span className={styles.sectionCount}>
+                      {section.puzzles.filter(puzzle => progress[puzzle.id]?.solved).length}/{section.puzzles.length} solved
+                    </span>
+                  </h3>
+                  <ul className={styles.list}>
+                    {section.puzzles.map(puzzle => {
+                      const record = progress[puzzle.id];
+                      const puzzleStatus = getStatus(record);
+                      const isCurrent = puzzle.id === currentPuzzle?.id;
+
+                      return (
+                        <li key={puzzle.id}>
+                          <Link
+                            to={getPuzzlePath(puzzle)}
+                            className={`${styles.card} ${isCurrent ? styles.current : ''}`}
+                            aria-current={isCurrent ? 'page' : undefined}
+                            onClick={() => setIsOpen(false)}
+                          >
+                            <span
+                              className={`${styles.status} ${styles[puzzleStatus]}`}
+                              role="img"
+                              aria-label={STATUSES[puzzleStatus].label}
+                              title={STATUSES[puzzleStatus].label}
+                            >
+                              {STATUSES[puzzleStatus].icon}
+                            </span>
+                            <span className={styles.cardBody}>
+                              <span className={styles.cardTitle}>{getTitle(puzzle)}</span>
+                              <span className={styles.meta}>
+                                <span className={`${styles.difficulty} ${styles[puzzle.difficulty] || ''}`}>
+                                  {puzzle.difficulty}
+                                </span>
+                                {record?.attempts > 0 && <span>Best {record.bestScore}%</span>}
+                                {(puzzle.tags || []).length > 0 && <span>{puzzle.tags.join(' · ')}</span>}
+                              </span>
+                            </span>
+                          </Link>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default PuzzleBrowser;
@@ -1,7 +1,7 @@
 import React from 'react';
 import styles from './PuzzleSelector.module.css';
 
-const PuzzleSelector = ({ puzzles, currentPuzzle, onPuzzleChange }) => {
+const PuzzleSelector = ({ puzzles, currentPuzzle, onPuzzleChange, progress = {} }) => {
   // Helper function to clean up LaTeX for display in select options
   const cleanTitle = (title) => {
     return title
@@ -19,11 +19,15 @@ const PuzzleSelector = ({ puzzles, currentPuzzle, onPuzzleChange }) => {
         value={currentPuzzle?.id || ''} 
         onChange={onPuzzleChange}
       >
-        {puzzles.map(puzzle => (
-          <option key={puzzle.id} value={puzzle.id}>
-            {puzzle.displayTitle || cleanTitle(puzzle.title)}
-          </option>
-        ))}
+        {puzzles.map(puzzle => {
+          // Solved puzzles are checked off
+          const solved = progress[puzzle.id]?.solved;
+          return (
+            <option key={puzzle.id} value={puzzle.id}>
+              {solved ? '✓ ' : ''}{puzzle.displayTitle || cleanTitle(puzzle.title)}
+            </option>
+          );
+        })}
       </select>
     </div>
   );
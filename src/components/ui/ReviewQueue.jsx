@@ -0,0 +1,69 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { getDueReviews, getNextReview } from '../../../shared/review.js';
+import { getPuzzlePath } from '../../utils/routes';
+import styles from './ReviewQueue.module.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days from one date to another, by calendar day
+const daysBetween = (from, to) => {
+  const startOfDay = (date) => new Date(date).setHours(0, 0, 0, 0);
+  return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+};
+
+const formatOverdue = (dueAt, now) => {
+  const days = daysBetween(dueAt, now);
+  if (days <= 0) return 'due today';
+  return days === 1 ? 'due yesterday' : `${days} days overdue`;
+};
+
+const formatUpcoming = (dueAt, now) => {
+  const days = daysBetween(now, dueAt);
+  if (days <= 0) return 'later today';
+  return days === 1 ? 'tomorrow' : `in ${days} days`;
+};
+
+// Solved puzzles due for spaced-repetition review, found among the puzzles
+// of every source
+const ReviewQueue = ({ puzzles, progress }) => {
+  const now = new Date();
+  const findPuzzle = (puzzleId) => puzzles.find(puzzle => puzzle.id === puzzleId);
+
+  const due = getDueReviews(progress, now)
+    .map(review => ({ ...review, puzzle: findPuzzle(review.puzzleId) }))
+    .filter(review => review.puzzle);
+  const next = getNextReview(progress, now);
+  const nextPuzzle = next && findPuzzle(next.puzzleId);
+
+  // Nothing is scheduled until the student solves a puzzle
+  if (due.length === 0 && !nextPuzzle) return null;
+
+  return (
+    <section className={styles.reviewQueue} aria-label="Review due">
+      <h2 className={styles.title}>
+        🔁 Review due
+        {due.length > 0 && <span className={styles.count}>{due.length}</span>}
+      </h2>
+
+      {due.length > 0 ? (
+        <ul className={styles.list}>
+          {due.map(({ puzzle, dueAt }) => (
+            <li key={puzzle.id} className={styles.item}>
+              <Link to={getPuzzlePath(puzzle)} className={styles.puzzleLink}>
+                {puzzle.displayTitle || puzzle.title}
+              </Link>
+              <span className={styles.due}>{formatOverdue(dueAt, now)}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className={styles.empty}>
+          Nothing to review right now. Next up: {nextPuzzle.displayTitle || nextPuzzle.title}, {formatUpcoming(next.dueAt, now)}.
+        </p>
+      )}
+    </section>
+  );
+};
+
+export default ReviewQueue;
@@ -0,0 +1,41 @@
+import React, { useState, useEffect } from 'react';
+import styles from './ShareLinkButton.module.css';
+
+// How long "Copied" shows after copying
+const COPIED_DURATION = 2000;
+
+const ShareLinkButton = ({ path, label = 'Copy link' }) => {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!status) return;
+
+    const timer = setTimeout(() => setStatus(null), COPIED_DURATION);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const url = `${window.location.origin}${path}`;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus('copied');
+    } catch (error) {
+      console.error('Error copying link:', error);
+      // Let the user copy it by hand
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  return (
+    <button
+      className={styles.shareLinkButton}
+      onClick={handleCopy}
+      title={`Copy a link to this puzzle: ${url}`}
+    >
+      <span aria-live="polite">{status === 'copied' ? '✓ Copied' : `🔗 ${label}`}</span>
+    </button>
+  );
+};
+
+export default ShareLinkButton;
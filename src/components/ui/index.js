@@ -7,3 +7,8 @@ export { default as PuzzleSelector } from './PuzzleSelector';
 export { default as DictionaryModal } from './DictionaryModal';
 export { default as FloatingHelpButton } from './FloatingHelpButton';
 export { default as StatusIndicator } from './StatusIndicator';
+export { default as ModeSwitch } from './ModeSwitch';
+export { default as ProgressSummary } from './ProgressSummary';
+export { default as ShareLinkButton } from './ShareLinkButton';
+export { default as ReviewQueue } from './ReviewQueue';
+export { default as PuzzleBrowser } from './PuzzleBrowser';
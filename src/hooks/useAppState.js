@@ -1,10 +1,31 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { usePuzzles, useApiHealth } from './usePuzzles';
 import { PuzzleLoader } from '../services/puzzleLoader';
+import progressService from '../services/progressService';
+import { getPuzzlePath } from '../utils/routes';
+import { recommendNextPuzzle } from '../../shared/recommendation.js';
 
-export const useAppState = () => {
-  const [currentPuzzle, setCurrentPuzzle] = useState(null);
+// Puzzles the student has opened in exam mode
+const EXAM_PUZZLES_KEY = 'parsons_exam_puzzles';
+
+const readExamPuzzles = () => {
+  try {
+    return JSON.parse(localStorage.getItem(EXAM_PUZZLES_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+};
+
+// The current puzzle is the one in the URL, so changing puzzles navigates
+export const useAppState = (routePuzzleId) => {
+  const navigate = useNavigate();
   const [useLocalData, setUseLocalData] = useState(false);
+  const [selectedMode, setMode] = useState('practice');
+  const [examSubmissions, setExamSubmissions] = useState({});
+  const [examPuzzles, setExamPuzzles] = useState(readExamPuzzles);
+  const [restartCounts, setRestartCounts] = useState({});
+  const [progress, setProgress] = useState(() => progressService.getLocalProgress());
   
   // API data and health check
   const { puzzles: apiPuzzles, loading: puzzlesLoading, error: puzzlesError } = usePuzzles();
@@ -15,36 +36,102 @@ export const useAppState = () => {
   const puzzles = useLocalData || !apiHealthy || puzzlesError ? localPuzzles : apiPuzzles;
   const isUsingApi = !useLocalData && apiHealthy && !puzzlesError && apiPuzzles.length > 0;
 
-  // Set initial puzzle when data loads
+  // Puzzles from the server and the JSON files, for reviews due from either
+  const allPuzzles = [
+    ...apiPuzzles,
+    ...localPuzzles.filter(local => !apiPuzzles.some(p => p.id === local.id))
+  ];
+
+  // A puzzle from the other source can still be opened, e.g. from the review queue
+  const currentPuzzle = puzzles.find(p => p.id === routePuzzleId) ||
+    allPuzzles.find(p => p.id === routePuzzleId) ||
+    null;
+
+  // A puzzle opened in exam mode stays in exam mode, across reloads, until
+  // its last submission is in: no practice hints or solution in between.
+  // Submissions are kept where the exam is graded, and restored from there.
+  const submissions = (currentPuzzle && examSubmissions[currentPuzzle.id]) || [];
+  const isExamInProgress = Boolean(currentPuzzle) && examPuzzles.includes(currentPuzzle.id) &&
+    !submissions.some(submission => submission.isFinal);
+  const mode = isExamInProgress ? 'exam' : selectedMode;
+
   useEffect(() => {
-    if (puzzles.length > 0 && !currentPuzzle) {
-      setCurrentPuzzle(puzzles[0]);
-    }
-  }, [puzzles, currentPuzzle]);
+    if (mode !== 'exam' || !currentPuzzle || examPuzzles.includes(currentPuzzle.id)) return;
+
+    const started = [...examPuzzles, currentPuzzle.id];
+    localStorage.setItem(EXAM_PUZZLES_KEY, JSON.stringify(started));
+    setExamPuzzles(started);
+  }, [mode, currentPuzzle, examPuzzles]);
+
+  // Load saved progress, from the server when it is up
+  useEffect(() => {
+    let isCurrent = true;
+    progressService.getProgress().then(records => {
+      if (isCurrent) setProgress(records);
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [apiHealthy]);
 
   const handlePuzzleChange = (event) => {
     const puzzleId = event.target.value;
     const puzzle = puzzles.find(p => p.id === puzzleId);
-    setCurrentPuzzle(puzzle);
+    if (puzzle) {
+      navigate(getPuzzlePath(puzzle));
+    }
   };
 
+  // The next puzzle is picked from the student's progress, with the reason
+  const recommendation = useMemo(
+    () => recommendNextPuzzle(puzzles, progress, currentPuzzle?.id),
+    [puzzles, progress, currentPuzzle?.id]
+  );
+
   const handleNextPuzzle = () => {
-    const currentIndex = puzzles.findIndex(p => p.id === currentPuzzle.id);
-    const nextIndex = (currentIndex + 1) % puzzles.length;
-    setCurrentPuzzle(puzzles[nextIndex]);
+    if (recommendation) {
+      navigate(getPuzzlePath(recommendation.puzzle));
+    }
+  };
+
+  // Choosing exam mode locks the puzzle in it, so check first
+  const selectMode = (nextMode) => {
+    if (nextMode === 'exam' && mode !== 'exam' &&
+      !window.confirm('In exam mode there are no hints or solutions, and you can\'t leave it until this puzzle is submitted. Start the exam?')) {
+      return;
+    }
+    setMode(nextMode);
+  };
+
+  // Record a submitted exam result; the last one is the puzzle's final result
+  const recordExamResult = (puzzleId, result) => {
+    setExamSubmissions(prev => ({ ...prev, [puzzleId]: [...(prev[puzzleId] || []), result] }));
   };
 
+  // Take the submissions of a resumed exam attempt. Kept stable, as puzzles
+  // call it each time they start an attempt
+  const restoreExamSubmissions = useCallback((puzzleId, saved) => {
+    setExamSubmissions(prev => ({ ...prev, [puzzleId]: saved }));
+  }, []);
+
+  // Count how often a puzzle was started over, which fades its given steps
+  const recordRestart = (puzzleId) => {
+    setRestartCounts(prev => ({ ...prev, [puzzleId]: (prev[puzzleId] || 0) + 1 }));
+  };
+
+  // Save a finished attempt. Kept stable, as puzzles report an attempt they
+  // leave unfinished when they unmount
+  const recordAttempt = useCallback(async (puzzleId, attempt) => {
+    setProgress(await progressService.recordAttempt(puzzleId, attempt));
+  }, []);
+
   const toggleDataSource = () => {
     setUseLocalData(!useLocalData);
     // Reset to first puzzle when switching data sources
-    if (puzzles.length > 0) {
-      setCurrentPuzzle(puzzles[0]);
-    }
+    navigate('/student');
   };
 
   // Derived state
-  const currentPuzzleIndex = puzzles.findIndex(p => p.id === currentPuzzle?.id);
-  const isLastPuzzle = currentPuzzleIndex === puzzles.length - 1;
   const isLoading = (puzzlesLoading || healthLoading) && !useLocalData;
 
   return {
@@ -52,7 +139,13 @@ export const useAppState = () => {
     currentPuzzle,
     useLocalData,
     puzzles,
+    allPuzzles,
     isUsingApi,
+    mode,
+    isExamInProgress,
+    submissions,
+    restartCounts,
+    progress,
     
     // Loading states
     isLoading,
@@ -60,11 +153,16 @@ export const useAppState = () => {
     puzzlesError,
     
     // Derived state
-    isLastPuzzle,
+    recommendation,
     
     // Handlers
     handlePuzzleChange,
     handleNextPuzzle,
-    toggleDataSource
+    toggleDataSource,
+    setMode: selectMode,
+    recordExamResult,
+    restoreExamSubmissions,
+    recordRestart,
+    recordAttempt
   };
 };
@@ -1,5 +1,12 @@
 import { useState, useEffect } from 'react';
 import puzzleService from '../services/puzzleService.js';
+import { PuzzleLoader } from '../services/puzzleLoader';
+
+// Wait for the student to stop typing before searching the server
+const SERVER_SEARCH_DELAY = 300;
+
+// Enough results for every puzzle a course has
+const SERVER_SEARCH_LIMIT = 200;
 
 // Custom hook for fetching puzzles with loading and error states
 export function usePuzzles(category = null, filters = {}) {
@@ -107,6 +114,51 @@ export function usePuzzleSearch() {
   return { results, loading, error, search, clearResults };
 }
 
+// Custom hook for filtering puzzles by difficulty, tags and search text,
+// on the server or in the JSON puzzles depending on the data source
+export function useFilteredPuzzles({ difficulty = '', tags = [], search = '' }, useApi) {
+  const [apiResults, setApiResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const tagList = tags.join(',');
+
+  useEffect(() => {
+    if (!useApi) return;
+
+    let isCurrent = true;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const response = await puzzleService.searchPuzzles(search.trim(), {
+          difficulty,
+          tags: tagList,
+          limit: SERVER_SEARCH_LIMIT
+        });
+        if (isCurrent) {
+          setApiResults(response.puzzles || []);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Error filtering puzzles:', err);
+        if (isCurrent) setError(err.message || 'Search failed');
+      } finally {
+        if (isCurrent) setLoading(false);
+      }
+    }, SERVER_SEARCH_DELAY);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [useApi, difficulty, tagList, search]);
+
+  const results = useApi
+    ? apiResults
+    : PuzzleLoader.filterPuzzles({ difficulty, tags, search });
+
+  return { results: results || [], loading: useApi && (loading || (apiResults === null && !error)), error };
+}
+
 // Custom hook for puzzle statistics
 export function usePuzzleStats() {
   const [stats, setStats] = useState(null);
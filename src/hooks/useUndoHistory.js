@@ -0,0 +1,73 @@
+import { useState, useCallback } from 'react';
+
+// Most actions that can be undone
+const MAX_UNDO_STEPS = 100;
+
+/**
+ * Undo/redo history of a piece of state that changes through actions
+ *
+ * Each action is recorded with the state it was applied to. Read in order,
+ * `past` followed by the current state replays an attempt step by step:
+ * entry i holds the state before its action, entry i + 1 the state after.
+ *
+ * @returns {Object} { past, future, canUndo, canRedo, record, undo, redo, clear }
+ */
+export function useUndoHistory() {
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const { past, future } = history;
+
+  // Call before applying an action, with the state it changes
+  const record = useCallback((state, action) => {
+    setHistory(prev => ({
+      past: [...prev.past, { state, action, at: Date.now() }].slice(-MAX_UNDO_STEPS),
+      future: []
+    }));
+  }, []);
+
+  const clear = useCallback(() => {
+    setHistory({ past: [], future: [] });
+  }, []);
+
+  /**
+   * Steps back over the last action
+   * @param {*} current - Current state, kept for redo
+   * @returns {*} State to restore, or null if there is nothing to undo
+   */
+  const undo = (current) => {
+    if (past.length === 0) return null;
+
+    const entry = past[past.length - 1];
+    setHistory({
+      past: past.slice(0, -1),
+      future: [{ ...entry, state: current }, ...future]
+    });
+    return entry.state;
+  };
+
+  /**
+   * Applies the last undone action again
+   * @param {*} current - Current state, kept for undo
+   * @returns {*} State to restore, or null if there is nothing to redo
+   */
+  const redo = (current) => {
+    if (future.length === 0) return null;
+
+    const [entry, ...rest] = future;
+    setHistory({
+      past: [...past, { ...entry, state: current }],
+      future: rest
+    });
+    return entry.state;
+  };
+
+  return {
+    past,
+    future,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    record,
+    undo,
+    redo,
+    clear
+  };
+}
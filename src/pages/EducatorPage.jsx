@@ -1,10 +1,17 @@
 import React, { useState, useEffect } from 'react';
-import { StatusIndicator } from '../components/ui';
+import { useNavigate, useParams } from 'react-router-dom';
+import { StatusIndicator, LoadingState } from '../components/ui';
 import { PuzzleCreator, PuzzleSuccessModal } from '../components/educator';
+import NotFoundPage from './NotFoundPage';
 import puzzleManagerService from '../services/puzzleManagerService';
+import { getPuzzlePath } from '../utils/routes';
 import styles from './EducatorPage.module.css';
 
 function EducatorPage() {
+  // Set on /educator/puzzles/:id/edit
+  const { id: editPuzzleId } = useParams();
+  const navigate = useNavigate();
+  const [editState, setEditState] = useState({ status: 'idle', puzzle: null });
   const [showCreator, setShowCreator] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState('big-o');
   const [statistics, setStatistics] = useState({
@@ -22,6 +29,23 @@ function EducatorPage() {
     loadStatistics();
   }, []);
 
+  // Load the puzzle being edited
+  useEffect(() => {
+    if (!editPuzzleId) return;
+
+    let isCurrent = true;
+    setEditState({ status: 'loading', puzzle: null });
+    puzzleManagerService.getPuzzleById(editPuzzleId).then(puzzle => {
+      if (isCurrent) {
+        setEditState({ status: puzzle ? 'found' : 'missing', puzzle });
+      }
+    });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [editPuzzleId]);
+
   const loadStatistics = async () => {
     try {
       setIsLoading(true);
@@ -52,7 +76,8 @@ function EducatorPage() {
       const result = await puzzleManagerService.savePuzzle(puzzle);
       setLastCreatedPuzzle({
         title: puzzle.displayTitle,
-        filename: result.filename
+        filename: result.filename,
+        path: getPuzzlePath(puzzle)
       });
       setShowSuccessModal(true);
       setShowCreator(false);
@@ -65,6 +90,22 @@ function EducatorPage() {
     }
   };
 
+  const handleUpdatePuzzle = async (puzzle) => {
+    setIsLoading(true);
+    try {
+      await puzzleManagerService.updatePuzzle(puzzle);
+      setSuccessMessage(`"${puzzle.displayTitle}" updated successfully!`);
+      setTimeout(() => setSuccessMessage(''), 5000);
+      loadStatistics(); // Refresh statistics
+      navigate('/educator');
+    } catch (error) {
+      console.error('Error updating puzzle:', error);
+      throw error; // Let the creator handle the error display
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleExportAll = () => {
     try {
       puzzleManagerService.exportAllPuzzles();
@@ -84,6 +125,37 @@ function EducatorPage() {
     setLastCreatedPuzzle(null);
   };
 
+  if (editPuzzleId) {
+    if (editState.status === 'missing') {
+      return (
+        <NotFoundPage
+          title="Puzzle not found"
+          message={`There is no puzzle with the ID "${editPuzzleId}" to edit.`}
+          linkTo="/educator"
+          linkLabel="Back to the dashboard"
+        />
+      );
+    }
+
+    return (
+      <div className={styles['educator-page']}>
+        {editState.status === 'found' && editState.puzzle.id === editPuzzleId ? (
+          <PuzzleCreator
+            key={editPuzzleId}
+            onSave={handleUpdatePuzzle}
+            onCancel={() => navigate('/educator')}
+            initialPuzzle={editState.puzzle}
+          />
+        ) : (
+          <LoadingState
+            title="Loading puzzle..."
+            message={`Fetching "${editPuzzleId}" for editing`}
+          />
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className={styles['educator-page']}>
       {!showCreator ? (
@@ -222,6 +294,7 @@ function EducatorPage() {
         onClose={handleCloseSuccessModal}
         puzzleTitle={lastCreatedPuzzle?.title}
         filename={lastCreatedPuzzle?.filename}
+        puzzlePath={lastCreatedPuzzle?.path}
       />
     </div>
   );
@@ -0,0 +1,23 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import styles from './NotFoundPage.module.css';
+
+function NotFoundPage({
+  title = 'Page not found',
+  message = "There's nothing at this address. It may have been mistyped, or the page was removed.",
+  linkTo = '/student',
+  linkLabel = 'Go to the puzzles'
+}) {
+  return (
+    <div className={styles['not-found-page']}>
+      <div className={styles['not-found-icon']} aria-hidden="true">🧩</div>
+      <h1>{title}</h1>
+      <p>{message}</p>
+      <Link to={linkTo} className={styles['home-link']}>
+        {linkLabel}
+      </Link>
+    </div>
+  );
+}
+
+export default NotFoundPage;
@@ -1,23 +1,38 @@
 import React from 'react';
+import { Navigate, useParams } from 'react-router-dom';
 import { PuzzleDisplay, UnifiedControlPanel, LoadingState } from '../components';
-import { FloatingHelpButton, StatusIndicator } from '../components/ui';
+import { FloatingHelpButton, StatusIndicator, ProgressSummary, ReviewQueue, PuzzleBrowser } from '../components/ui';
 import { useAppState } from '../hooks/useAppState';
+import { getPuzzlePath } from '../utils/routes';
+import NotFoundPage from './NotFoundPage';
 import styles from './StudentPage.module.css';
 
 function StudentPage() {
+  const { category, puzzleId } = useParams();
   const {
     currentPuzzle,
     useLocalData,
     puzzles,
+    allPuzzles,
     isUsingApi,
+    mode,
+    isExamInProgress,
+    submissions,
+    restartCounts,
+    progress,
     isLoading,
     healthLoading,
     puzzlesError,
-    isLastPuzzle,
+    recommendation,
     handlePuzzleChange,
     handleNextPuzzle,
-    toggleDataSource
-  } = useAppState();
+    toggleDataSource,
+    setMode,
+    recordExamResult,
+    restoreExamSubmissions,
+    recordRestart,
+    recordAttempt
+  } = useAppState(puzzleId);
 
   // Handle loading state
   if (isLoading) {
@@ -29,8 +44,8 @@ function StudentPage() {
     );
   }
 
-  // Handle case where no puzzle is selected yet
-  if (!currentPuzzle) {
+  // Handle case where there are no puzzles to show
+  if (puzzles.length === 0) {
     return (
       <LoadingState 
         title="No puzzles available"
@@ -39,6 +54,27 @@ function StudentPage() {
     );
   }
 
+  // /student opens the first puzzle
+  if (!puzzleId) {
+    return <Navigate to={getPuzzlePath(puzzles[0])} replace />;
+  }
+
+  if (!currentPuzzle) {
+    return (
+      <NotFoundPage
+        title="Puzzle not found"
+        message={`There is no puzzle "${puzzleId}". The link may be out of date, or the puzzle was removed.`}
+        linkTo="/student"
+        linkLabel="Go to the first puzzle"
+      />
+    );
+  }
+
+  // Links keep working when a puzzle moves to another category
+  if (category !== currentPuzzle.category) {
+    return <Navigate to={getPuzzlePath(currentPuzzle)} replace />;
+  }
+
   return (
     <div className={styles['student-page']}>
       <header className={styles['page-header']}>
@@ -53,16 +89,38 @@ function StudentPage() {
         useLocalData={useLocalData}
         onToggleDataSource={toggleDataSource}
         onPuzzleChange={handlePuzzleChange}
+        progress={progress}
+        mode={mode}
+        onModeChange={setMode}
+        isModeLocked={isExamInProgress}
         healthLoading={healthLoading}
         puzzlesError={puzzlesError}
       />
 
+      <PuzzleBrowser
+        puzzles={puzzles}
+        isUsingApi={isUsingApi}
+        currentPuzzle={currentPuzzle}
+        progress={progress}
+      />
+
+      <ProgressSummary puzzles={puzzles} progress={progress} />
+      <ReviewQueue puzzles={allPuzzles} progress={progress} />
+
       <main className={styles['main-content']}>
+        {/* Switching mode starts the puzzle over */}
         <PuzzleDisplay 
-          key={currentPuzzle.id} 
+          key={`${currentPuzzle.id}-${mode}`} 
           puzzle={currentPuzzle} 
+          mode={mode}
           onNextPuzzle={handleNextPuzzle}
-          isLastPuzzle={isLastPuzzle}
+          submissions={submissions}
+          onSubmitResult={recordExamResult}
+          onExamRestore={restoreExamSubmissions}
+          restartCount={restartCounts[currentPuzzle.id] || 0}
+          onRestart={recordRestart}
+          onAttemptComplete={recordAttempt}
+          recommendation={recommendation}
         />
       </main>
 
@@ -1,2 +1,3 @@
 export { default as StudentPage } from './StudentPage';
 export { default as EducatorPage } from './EducatorPage';
+export { default as NotFoundPage } from './NotFoundPage';
@@ -0,0 +1,172 @@
+import ProofValidator from '../../shared/ProofValidator.js';
+import {
+  canSubmitExam,
+  createAttemptRecord,
+  getExamSubmissions,
+  getRevealedSolution,
+  gradeAttempt,
+  revealNextHint,
+  submitExam,
+  toStudentResult
+} from '../../shared/attempts.js';
+import puzzleService from './puzzleService.js';
+import progressService from './progressService.js';
+
+const EXAM_ATTEMPTS_KEY = 'parsons_exam_attempts';
+
+const readExamAttempts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(EXAM_ATTEMPTS_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Grades proof attempts
+ *
+ * Puzzles served by the API don't include their solutions, so their attempts
+ * are graded by the server. Puzzles loaded from the bundled JSON files carry
+ * their solution and are graded in the browser with the same validator.
+ *
+ * Each attempt is started first. The hints revealed and whether the solution
+ * was shown are kept with the attempt, by the server or here, and grading
+ * uses those rather than counts the caller passes in (see shared/attempts.js).
+ * A student has one exam attempt per puzzle, kept by the server or in
+ * localStorage, so reloading doesn't give back submissions.
+ */
+class GradingService {
+  constructor() {
+    this.validators = new WeakMap();
+    this.localAttempts = new Map();
+    this.localAttemptCount = 0;
+  }
+
+  /**
+   * Checks whether a puzzle can be graded without the server
+   * @param {Object} puzzle - Puzzle being solved
+   * @returns {boolean} True if the puzzle includes its solution
+   */
+  canGradeLocally(puzzle) {
+    return Array.isArray(puzzle?.solutionOrder) && puzzle.solutionOrder.length > 0;
+  }
+
+  getValidator(puzzle) {
+    if (!this.validators.has(puzzle)) {
+      this.validators.set(puzzle, new ProofValidator(puzzle));
+    }
+    return this.validators.get(puzzle);
+  }
+
+  getLocalAttempt(attemptId) {
+    if (!this.localAttempts.has(attemptId)) {
+      throw new Error('Attempt not found');
+    }
+    return this.localAttempts.get(attemptId);
+  }
+
+  checkNotExam(record) {
+    if (record.mode === 'exam') {
+      throw new Error('Hints and the solution are not available in exam mode');
+    }
+  }
+
+  /**
+   * Starts an attempt at a puzzle, or resumes the exam attempt
+   * @param {Object} puzzle - Puzzle being solved
+   * @param {string} [mode] - 'practice', 'timed' or 'exam'
+   * @returns {Promise<Object>} { attemptId, submissions }: the ID to pass
+   *   with the attempt's other calls, and the exam submissions so far
+   */
+  async startAttempt(puzzle, mode = 'practice') {
+    if (this.canGradeLocally(puzzle)) {
+      if (mode === 'exam') {
+        const attemptId = `local-exam-${puzzle.id}`;
+        const record = readExamAttempts()[puzzle.id] ?? createAttemptRecord(mode);
+        this.localAttempts.set(attemptId, record);
+        return { attemptId, submissions: getExamSubmissions(record, this.getValidator(puzzle).maxAttempts) };
+      }
+
+      const attemptId = `local-${++this.localAttemptCount}`;
+      this.localAttempts.set(attemptId, createAttemptRecord(mode));
+      return { attemptId, submissions: [] };
+    }
+
+    return puzzleService.startAttempt(puzzle.id, { studentId: progressService.getStudentId(), mode });
+  }
+
+  saveLocalExam(puzzleId, record) {
+    localStorage.setItem(EXAM_ATTEMPTS_KEY, JSON.stringify({ ...readExamAttempts(), [puzzleId]: record }));
+  }
+
+  /**
+   * Grades an attempt
+   * @param {Object} puzzle - Puzzle being solved
+   * @param {Array} order - Block IDs in the order the student placed them
+   * @param {Object} attempt - { attemptId, selections, indents, justifications, givens }
+   * @returns {Promise<Object>} Validation result from ProofValidator, with
+   *   the hint tiers revealed as `hint` (see toStudentResult). In an exam
+   *   attempt, a submission's grade (see submitExam).
+   */
+  async validate(puzzle, order, attempt = {}) {
+    if (this.canGradeLocally(puzzle)) {
+      const validator = this.getValidator(puzzle);
+      const record = this.getLocalAttempt(attempt.attemptId);
+
+      if (record.mode === 'exam') {
+        if (!canSubmitExam(record, validator.maxAttempts)) {
+          throw new Error('No attempts left');
+        }
+        const result = submitExam(validator, order, attempt, record);
+        this.saveLocalExam(puzzle.id, record);
+        return result;
+      }
+
+      return toStudentResult(gradeAttempt(validator, order, attempt, record), record);
+    }
+
+    return puzzleService.validateProof(puzzle.id, { order, ...attempt });
+  }
+
+  /**
+   * Reveals the next tier of the hint for a proof
+   * @param {Object} puzzle - Puzzle being solved
+   * @param {Array} order - Block IDs in the order the student placed them
+   * @param {Object} attempt - As for validate
+   * @returns {Promise<Object>} Validation result with the hint counted
+   */
+  async getHint(puzzle, order, attempt) {
+    if (this.canGradeLocally(puzzle)) {
+      const validator = this.getValidator(puzzle);
+      const record = this.getLocalAttempt(attempt.attemptId);
+      this.checkNotExam(record);
+      revealNextHint(record, gradeAttempt(validator, order, attempt, record), validator.hintBudget);
+      return toStudentResult(gradeAttempt(validator, order, attempt, record), record);
+    }
+
+    const { attemptId, ...proof } = attempt;
+    return puzzleService.getHint(puzzle.id, attemptId, { order, ...proof });
+  }
+
+  /**
+   * Reveals the solution, which sets the attempt's score to 0
+   * @param {Object} puzzle - Puzzle being solved
+   * @param {string} attemptId - Attempt the solution is revealed in
+   * @returns {Promise<Object>} { solutionOrder, depths, justifications,
+   *   selections } (see getRevealedSolution)
+   */
+  async revealSolution(puzzle, attemptId) {
+    if (this.canGradeLocally(puzzle)) {
+      const record = this.getLocalAttempt(attemptId);
+      this.checkNotExam(record);
+      record.solutionRevealed = true;
+      return getRevealedSolution(puzzle);
+    }
+
+    return puzzleService.revealSolution(puzzle.id, attemptId);
+  }
+}
+
+// Create and export a singleton instance
+const gradingService = new GradingService();
+export default gradingService;
@@ -0,0 +1,124 @@
+import { applyAttempt, createProgressRecord } from '../../shared/progress.js';
+import puzzleService from './puzzleService.js';
+
+const STUDENT_ID_KEY = 'parsons_student_id';
+const PROGRESS_KEY = 'parsons_progress';
+const PENDING_KEY = 'parsons_progress_pending';
+
+// Offline attempts sent per request; the server accepts up to 100
+const SYNC_BATCH_SIZE = 100;
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Tracks each student's progress on every puzzle
+ *
+ * Progress is always kept in localStorage, so it survives a reload even
+ * offline. When the server is up it is the source of truth: attempts are
+ * sent to /api/progress, and attempts made while it was down are sent the
+ * next time it can be reached. The server records its own grade of the
+ * attempts it graded, found by their attemptId, and rejects the rest.
+ */
+class ProgressService {
+  constructor() {
+    this.syncQueue = Promise.resolve();
+  }
+
+  /**
+   * Gets the ID this browser's progress is stored under, creating it once
+   * @returns {string} Student ID
+   */
+  getStudentId() {
+    let studentId = localStorage.getItem(STUDENT_ID_KEY);
+    if (!studentId) {
+      studentId = crypto.randomUUID?.() ??
+        `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+      localStorage.setItem(STUDENT_ID_KEY, studentId);
+    }
+    return studentId;
+  }
+
+  getLocalProgress() {
+    return readJson(PROGRESS_KEY, {});
+  }
+
+  saveLocalProgress(progress) {
+    localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+  }
+
+  /**
+   * Sends attempts made offline, and takes the server's progress when it
+   * answers. Syncs run one at a time so no attempt is sent twice.
+   * @returns {Promise<Object>} Map of puzzle ID -> progress record
+   */
+  sync() {
+    this.syncQueue = this.syncQueue.then(() => this.syncPending());
+    return this.syncQueue;
+  }
+
+  async syncPending() {
+    const pending = readJson(PENDING_KEY, []);
+    const batch = pending.slice(0, SYNC_BATCH_SIZE);
+
+    try {
+      const { progress } = batch.length > 0
+        ? await puzzleService.recordAttempts(this.getStudentId(), batch)
+        : await puzzleService.getProgress(this.getStudentId());
+
+      // Attempts recorded while this request was out stay pending
+      const remaining = readJson(PENDING_KEY, []).slice(batch.length);
+      if (remaining.length > 0) {
+        localStorage.setItem(PENDING_KEY, JSON.stringify(remaining));
+        return this.syncPending();
+      }
+
+      // Puzzles the server doesn't track, such as local ones, keep their
+      // local records
+      const merged = { ...this.getLocalProgress(), ...progress };
+      localStorage.removeItem(PENDING_KEY);
+      this.saveLocalProgress(merged);
+      return merged;
+    } catch (error) {
+      console.warn('Progress server unavailable, using local progress:', error.message);
+      return this.getLocalProgress();
+    }
+  }
+
+  /**
+   * Gets the student's progress
+   * @returns {Promise<Object>} Map of puzzle ID -> progress record
+   */
+  async getProgress() {
+    return this.sync();
+  }
+
+  /**
+   * Records a finished attempt
+   * @param {string} puzzleId - Puzzle attempted
+   * @param {Object} attempt - { attemptId, score, isCorrect, hintsUsed, timeSpentSeconds, mode, submittedAt }
+   * @returns {Promise<Object>} Updated map of puzzle ID -> progress record
+   */
+  async recordAttempt(puzzleId, attempt) {
+    const progress = this.getLocalProgress();
+    progress[puzzleId] = applyAttempt(progress[puzzleId] || createProgressRecord(puzzleId), attempt);
+    this.saveLocalProgress(progress);
+
+    const submittedAt = attempt.submittedAt ?? new Date().toISOString();
+    localStorage.setItem(PENDING_KEY, JSON.stringify([
+      ...readJson(PENDING_KEY, []),
+      { ...attempt, puzzleId, submittedAt }
+    ]));
+
+    return this.sync();
+  }
+}
+
+// Create and export a singleton instance
+const progressService = new ProgressService();
+export default progressService;
@@ -10,36 +10,49 @@ import recursionProofsData from '../puzzles/data/recursion-proofs.json';
 
 /**
  * Transform puzzle data from JSON format to the format expected by components
+ * @param {Object} puzzleData - Puzzle from a JSON file
+ * @param {string} categoryId - Category ID of the file, as used by the API and in URLs
  */
-const transformPuzzleData = (puzzleData) => {
+const transformPuzzleData = (puzzleData, categoryId) => {
   return {
     id: puzzleData.id,
+    category: categoryId,
     title: puzzleData.title,
     displayTitle: puzzleData.displayTitle,
     statement: puzzleData.statement,
     difficulty: puzzleData.difficulty || 'medium',
     tags: puzzleData.tags || [],
+    scoringStrategy: puzzleData.scoringStrategy,
+    hintBudget: puzzleData.hintBudget,
+    hintCost: puzzleData.hintCost,
+    maxAttempts: puzzleData.maxAttempts,
+    timeLimitSeconds: puzzleData.timeLimitSeconds,
+    fadeGivens: puzzleData.fadeGivens,
+    justificationPool: puzzleData.justificationPool,
     blocks: puzzleData.blocks,
-    solutionOrder: puzzleData.solutionOrder
+    solutionOrder: puzzleData.solutionOrder,
+    alternativeSolutions: puzzleData.alternativeSolutions,
+    interchangeableGroups: puzzleData.interchangeableGroups,
+    pairedDistractors: puzzleData.pairedDistractors
   };
 };
 
 /**
  * Transform category data from JSON format
  */
-const transformCategoryData = (categoryData) => {
+const transformCategoryData = (categoryData, categoryId) => {
   return {
     category: categoryData.category,
     description: categoryData.description,
-    puzzles: categoryData.puzzles.map(transformPuzzleData)
+    puzzles: categoryData.puzzles.map(puzzle => transformPuzzleData(puzzle, categoryId))
   };
 };
 
 // Transform all puzzle data
-const bigOProofs = transformCategoryData(bigOProofsData);
-const inductionProofs = transformCategoryData(inductionProofsData);
-const setTheoryProofs = transformCategoryData(setTheoryProofsData);
-const recursionProofs = transformCategoryData(recursionProofsData);
+const bigOProofs = transformCategoryData(bigOProofsData, 'big-o');
+const inductionProofs = transformCategoryData(inductionProofsData, 'induction');
+const setTheoryProofs = transformCategoryData(setTheoryProofsData, 'set-theory');
+const recursionProofs = transformCategoryData(recursionProofsData, 'recursion');
 
 // Export individual puzzles for backward compatibility
 export const N_SQUARED_PLUS_N_CUBED_THETA_N_CUBED = bigOProofs.puzzles[0];
@@ -97,6 +110,14 @@ export const CATEGORIES = {
   }
 };
 
+// Display names of the category IDs puzzles carry
+export const CATEGORY_NAMES = {
+  'big-o': bigOProofs.category,
+  'induction': inductionProofs.category,
+  'set-theory': setTheoryProofs.category,
+  'recursion': recursionProofs.category
+};
+
 /**
  * Puzzle loader service with methods for loading and filtering puzzles
  */
@@ -156,6 +177,29 @@ export class PuzzleLoader {
     );
   }
 
+  /**
+   * Filter puzzles the way the server's `difficulty`, `tags` and `search`
+   * query params do. Every filter that is set must match.
+   * @param {Object} filters - { difficulty, tags, search }
+   */
+  static filterPuzzles({ difficulty = '', tags = [], search = '' } = {}) {
+    const matches = [
+      difficulty && this.getPuzzlesByDifficulty(difficulty),
+      tags.length > 0 && this.getPuzzlesByTags(tags),
+      search.trim() && this.searchPuzzles(search.trim())
+    ].filter(Boolean);
+
+    return ALL_PUZZLES.filter(puzzle => matches.every(list => list.includes(puzzle)));
+  }
+
+  /**
+   * Get the display name of a category ID, e.g. 'big-o'
+   * @param {string} categoryId - Category ID of a puzzle
+   */
+  static getCategoryName(categoryId) {
+    return CATEGORY_NAMES[categoryId] || categoryId;
+  }
+
   /**
    * Get all available categories
    */
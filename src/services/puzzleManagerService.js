@@ -1,3 +1,12 @@
+import { getPlaceholders, INPUT_PLACEHOLDER } from '../../shared/placeholders.js';
+import { isValidExpression } from '../../shared/expressions.js';
+import { MAX_DEPTH } from '../../shared/nesting.js';
+import { SCORING_STRATEGIES } from '../../shared/scoringStrategies.js';
+import { PuzzleLoader } from './puzzleLoader.js';
+
+// Where the educator's access token is kept between visits
+const EDUCATOR_TOKEN_KEY = 'educatorToken';
+
 // Service for managing puzzle data with server integration
 class PuzzleManagerService {
   constructor() {
@@ -5,6 +14,31 @@ class PuzzleManagerService {
     this.baseUrl = 'http://localhost:5000/api';
   }
 
+  /**
+   * Headers that give educator access: the token set as EDUCATOR_TOKEN on
+   * the server. The educator is asked for it once.
+   */
+  getAuthHeaders() {
+    let token = localStorage.getItem(EDUCATOR_TOKEN_KEY);
+    if (!token) {
+      token = window.prompt('Enter the educator access token (EDUCATOR_TOKEN on the server):')?.trim();
+      if (token) {
+        localStorage.setItem(EDUCATOR_TOKEN_KEY, token);
+      }
+    }
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Forgets a token the server rejected, so the educator is asked again
+   */
+  checkAuthorized(response) {
+    if (response.status === 401) {
+      localStorage.removeItem(EDUCATOR_TOKEN_KEY);
+      throw new Error('Educator access required: check your access token');
+    }
+  }
+
   /**
    * Save a new puzzle to the server database
    * This provides immediate availability to students
@@ -19,10 +53,12 @@ class PuzzleManagerService {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...this.getAuthHeaders()
         },
         body: JSON.stringify(puzzle)
       });
 
+      this.checkAuthorized(response);
       if (!response.ok) {
         const errorData = await response.json();
         throw new Error(errorData.error || `Server error: ${response.status}`);
@@ -61,13 +97,100 @@ class PuzzleManagerService {
     }
   }
 
+  /**
+   * Save changes to an existing puzzle
+   * Puzzles that are only in the bundled JSON files are created on the server
+   */
+  async updatePuzzle(puzzle) {
+    try {
+      this.validatePuzzle(puzzle);
+
+      const response = await fetch(`${this.baseUrl}/puzzles/${encodeURIComponent(puzzle.id)}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.getAuthHeaders()
+        },
+        body: JSON.stringify(puzzle)
+      });
+
+      this.checkAuthorized(response);
+      if (response.status === 404) {
+        return this.savePuzzle(puzzle);
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Server error: ${response.status}`);
+      }
+
+      const savedPuzzle = await response.json();
+      this.saveToLocalStorage(puzzle);
+
+      return {
+        success: true,
+        message: 'Puzzle updated successfully! Students see the changes immediately.',
+        puzzle: savedPuzzle,
+        filename: this.getCategoryFileName(puzzle.category)
+      };
+
+    } catch (error) {
+      console.error('Error updating puzzle:', error);
+
+      if (error.message.includes('fetch')) {
+        console.warn('Server unavailable, saving to localStorage as fallback');
+        this.saveToLocalStorage(puzzle);
+        this.downloadUpdatedFile(this.getStoredPuzzles(puzzle.category), this.getCategoryFileName(puzzle.category));
+
+        return {
+          success: true,
+          message: 'Server unavailable. Puzzle saved locally and downloaded as JSON file.',
+          puzzle: puzzle,
+          filename: this.getCategoryFileName(puzzle.category)
+        };
+      }
+
+      throw new Error(`Failed to update puzzle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a puzzle with its solution, for editing
+   * Falls back to puzzles saved locally and the bundled JSON puzzles
+   * @returns {Promise<Object|null>} The puzzle, or null if there is none with this ID
+   */
+  async getPuzzleById(puzzleId) {
+    try {
+      const response = await fetch(`${this.baseUrl}/puzzles/${encodeURIComponent(puzzleId)}?includeSolutions=true`, {
+        headers: this.getAuthHeaders()
+      });
+
+      this.checkAuthorized(response);
+      if (response.ok) {
+        return await response.json();
+      }
+      if (response.status !== 404) {
+        throw new Error(`Failed to fetch puzzle: ${response.status}`);
+      }
+    } catch (error) {
+      console.warn('Could not fetch from server, falling back to localStorage:', error.message);
+    }
+
+    return this.getEducatorPuzzlesFromLocalStorage().find(puzzle => puzzle.id === puzzleId) ||
+      PuzzleLoader.getPuzzleById(puzzleId) ||
+      null;
+  }
+
   /**
    * Get all puzzles from server (for statistics and management)
    */
   async getAllPuzzles() {
     try {
-      const response = await fetch(`${this.baseUrl}/puzzles?limit=1000`);
+      const response = await fetch(`${this.baseUrl}/puzzles?limit=1000&includeSolutions=true`, {
+        headers: this.getAuthHeaders()
+      });
       
+      this.checkAuthorized(response);
       if (!response.ok) {
         throw new Error(`Failed to fetch puzzles: ${response.status}`);
       }
@@ -86,8 +209,11 @@ class PuzzleManagerService {
    */
   async getPuzzlesByCategory(category) {
     try {
-      const response = await fetch(`${this.baseUrl}/puzzles/category/${category}`);
+      const response = await fetch(`${this.baseUrl}/puzzles/category/${category}?includeSolutions=true`, {
+        headers: this.getAuthHeaders()
+      });
       
+      this.checkAuthorized(response);
       if (!response.ok) {
         throw new Error(`Failed to fetch puzzles: ${response.status}`);
       }
@@ -107,9 +233,11 @@ class PuzzleManagerService {
   async deletePuzzle(puzzleId) {
     try {
       const response = await fetch(`${this.baseUrl}/puzzles/${puzzleId}`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        headers: this.getAuthHeaders()
       });
 
+      this.checkAuthorized(response);
       if (!response.ok) {
         throw new Error(`Failed to delete puzzle: ${response.status}`);
       }
@@ -160,12 +288,12 @@ class PuzzleManagerService {
   }
 
   /**
-   * Save puzzle to localStorage as backup
+   * Save puzzle to localStorage as backup, replacing an earlier copy
    */
   saveToLocalStorage(puzzle) {
     const storageKey = `puzzles_${puzzle.category}`;
     const existingData = this.getStoredPuzzles(puzzle.category);
-    existingData.puzzles.push(puzzle);
+    existingData.puzzles = [...existingData.puzzles.filter(stored => stored.id !== puzzle.id), puzzle];
     localStorage.setItem(storageKey, JSON.stringify(existingData));
   }
 
@@ -310,8 +438,17 @@ class PuzzleManagerService {
       throw new Error('Puzzle must have at least 2 blocks');
     }
 
-    if (!Array.isArray(puzzle.solutionOrder) || puzzle.solutionOrder.length !== puzzle.blocks.length) {
-      throw new Error('Solution order must match the number of blocks');
+    // Distractor blocks are part of the puzzle but never part of a solution
+    const proofBlocks = puzzle.blocks.filter(block => !block.distractor);
+    const solutions = [puzzle.solutionOrder, ...(puzzle.alternativeSolutions || [])];
+    if (!solutions.every(order => Array.isArray(order) && order.length >= 2 && new Set(order).size === order.length)) {
+      throw new Error('Each solution order must list at least 2 distinct blocks');
+    }
+
+    // Every non-distractor block has to be used by at least one solution
+    const usedBlockIds = new Set(solutions.flat());
+    if (proofBlocks.some(block => !usedBlockIds.has(block.id))) {
+      throw new Error('Every non-distractor block must appear in the solution order or an alternative solution');
     }
 
     // Validate difficulty
@@ -333,11 +470,170 @@ class PuzzleManagerService {
       }
     }
 
-    // Validate solution order references actual block IDs
-    const blockIds = puzzle.blocks.map(b => b.id);
-    for (const blockId of puzzle.solutionOrder) {
+    // Validate solution orders reference actual proof block IDs
+    const blockIds = proofBlocks.map(b => b.id);
+    for (const blockId of usedBlockIds) {
       if (!blockIds.includes(blockId)) {
-        throw new Error(`Solution order references non-existent block ID: ${blockId}`);
+        throw new Error(`Solution order references non-existent or distractor block ID: ${blockId}`);
+      }
+    }
+
+    // Validate expected placeholder choices refer to placeholders in the block
+    for (const block of puzzle.blocks) {
+      if (!block.expectedSelections) continue;
+
+      const placeholders = getPlaceholders(block.latex);
+      const keys = new Set(placeholders.map(placeholder => placeholder.key));
+      for (const key of Object.keys(block.expectedSelections)) {
+        if (!keys.has(key)) {
+          throw new Error(`Block ${block.id} has an expected choice for unknown placeholder: ${key}`);
+        }
+      }
+
+      // Typed answers are compared to the expected expressions, so those must parse
+      for (const { key, type } of placeholders) {
+        if (type !== INPUT_PLACEHOLDER || block.expectedSelections[key] === undefined) continue;
+
+        if (![].concat(block.expectedSelections[key]).every(isValidExpression)) {
+          throw new Error(`Block ${block.id} needs a valid expected expression for ${key}`);
+        }
+      }
+    }
+
+    if (puzzle.scoringStrategy !== undefined && !SCORING_STRATEGIES[puzzle.scoringStrategy]) {
+      throw new Error(`Unknown scoring strategy: ${puzzle.scoringStrategy}`);
+    }
+
+    // Validate misconception rules point to other blocks of the puzzle
+    const allBlockIds = new Set(puzzle.blocks.map(block => block.id));
+    for (const block of puzzle.blocks) {
+      for (const rule of block.misconceptions || []) {
+        if (!allBlockIds.has(rule.before) || rule.before === block.id) {
+          throw new Error(`Misconception on block ${block.id} refers to an invalid block: ${rule.before}`);
+        }
+        if (typeof rule.message !== 'string' || !rule.message.trim()) {
+          throw new Error(`Misconception on block ${block.id} needs a message`);
+        }
+      }
+    }
+
+    if (puzzle.hintBudget !== undefined && (!Number.isInteger(puzzle.hintBudget) || puzzle.hintBudget < 0)) {
+      throw new Error('Hint budget must be a non-negative whole number');
+    }
+
+    if (puzzle.hintCost !== undefined && (typeof puzzle.hintCost !== 'number' || puzzle.hintCost < 0 || puzzle.hintCost > 100)) {
+      throw new Error('Hint cost must be between 0 and 100 points');
+    }
+
+    if (puzzle.maxAttempts !== undefined && (!Number.isInteger(puzzle.maxAttempts) || puzzle.maxAttempts < 1)) {
+      throw new Error('Exam attempts must be a whole number of at least 1');
+    }
+
+    if (puzzle.timeLimitSeconds !== undefined && (!Number.isInteger(puzzle.timeLimitSeconds) || puzzle.timeLimitSeconds < 1)) {
+      throw new Error('Time limit must be a whole number of seconds');
+    }
+
+    // Validate interchangeable groups are runs of consecutive solution steps
+    const groupedIds = new Set();
+    for (const group of puzzle.interchangeableGroups || []) {
+      if (!Array.isArray(group) || group.length < 2) {
+        throw new Error('Each interchangeable group must list at least 2 block IDs');
+      }
+
+      const positions = group.map(id => puzzle.solutionOrder.indexOf(id)).sort((a, b) => a - b);
+      if (positions[0] === -1 || positions.some((position, i) => position !== positions[0] + i)) {
+        throw new Error(`Interchangeable group [${group.join(', ')}] must be consecutive steps of the solution order`);
+      }
+
+      for (const blockId of group) {
+        if (groupedIds.has(blockId)) {
+          throw new Error(`Block ${blockId} belongs to more than one interchangeable group`);
+        }
+        groupedIds.add(blockId);
+      }
+    }
+
+    // Validate indentation levels of nested proofs
+    for (const block of puzzle.blocks) {
+      if (block.depth === undefined) continue;
+
+      if (!Number.isInteger(block.depth) || block.depth < 0 || block.depth > MAX_DEPTH) {
+        throw new Error(`Block ${block.id} must have a depth between 0 and ${MAX_DEPTH}`);
+      }
+    }
+
+    // Validate given steps are fixed steps of the main solution
+    const givenBlocks = puzzle.blocks.filter(block => block.given);
+    for (const block of givenBlocks) {
+      if (!puzzle.solutionOrder.includes(block.id)) {
+        throw new Error(`Given block ${block.id} must be part of the solution order`);
+      }
+      if (getPlaceholders(block.latex).length > 0) {
+        throw new Error(`Given block ${block.id} can't contain placeholders`);
+      }
+    }
+
+    if (givenBlocks.length >= puzzle.solutionOrder.length) {
+      throw new Error('At least one step of the solution must be left for the student to place');
+    }
+
+    // Validate justifications of two-column proofs are non-empty reasons
+    for (const block of puzzle.blocks) {
+      if (block.justification === undefined) continue;
+
+      const reasons = [].concat(block.justification);
+      if (reasons.length === 0 || !reasons.every(reason => typeof reason === 'string' && reason.trim())) {
+        throw new Error(`Block ${block.id} needs a non-empty justification`);
+      }
+      if (block.distractor) {
+        throw new Error(`Distractor block ${block.id} can't have a justification`);
+      }
+    }
+
+    if (puzzle.justificationPool !== undefined &&
+        (!Array.isArray(puzzle.justificationPool) ||
+         !puzzle.justificationPool.every(reason => typeof reason === 'string' && reason.trim()))) {
+      throw new Error('The justification pool must be a list of non-empty reasons');
+    }
+
+    // Validate each pair holds a proof step and a distractor twin of it
+    const pairedIds = new Set();
+    for (const pair of puzzle.pairedDistractors || []) {
+      if (!Array.isArray(pair) || pair.length !== 2) {
+        throw new Error('Each paired distractor group must list exactly 2 block IDs');
+      }
+
+      const pairBlocks = pair.map(id => puzzle.blocks.find(block => block.id === id));
+      if (pairBlocks.some(block => !block) || pairBlocks.filter(block => block.distractor).length !== 1) {
+        throw new Error(`Pair [${pair.join(', ')}] must hold one proof step and one distractor`);
+      }
+      if (pairBlocks.some(block => block.given)) {
+        throw new Error(`Pair [${pair.join(', ')}] can't contain a given step`);
+      }
+
+      for (const blockId of pair) {
+        if (pairedIds.has(blockId)) {
+          throw new Error(`Block ${blockId} belongs to more than one pair`);
+        }
+        pairedIds.add(blockId);
+      }
+    }
+
+    // Validate dependencies only point to steps earlier in the solution order,
+    // which also guarantees the dependency graph has no cycles
+    for (const block of puzzle.blocks) {
+      if (!block.dependsOn) continue;
+
+      if (!Array.isArray(block.dependsOn)) {
+        throw new Error(`Dependencies of block ${block.id} must be an array of block IDs`);
+      }
+
+      const stepIndex = puzzle.solutionOrder.indexOf(block.id);
+      for (const dependencyId of block.dependsOn) {
+        const dependencyIndex = puzzle.solutionOrder.indexOf(dependencyId);
+        if (dependencyIndex === -1 || dependencyIndex >= stepIndex) {
+          throw new Error(`Block ${block.id} can only depend on earlier steps (got ${dependencyId})`);
+        }
       }
     }
 
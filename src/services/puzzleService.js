@@ -44,6 +44,38 @@ class PuzzleService {
     return this.fetchWithError(`/puzzles/${id}`);
   }
 
+  // Start an attempt, which the server keeps the hints, reveals and exam
+  // submissions of. Exam attempts are resumed with their submissions.
+  async startAttempt(id, { studentId, mode }) {
+    return this.fetchWithError(`/puzzles/${id}/attempts`, {
+      method: 'POST',
+      body: JSON.stringify({ studentId, mode })
+    });
+  }
+
+  // Grade an attempt on the server
+  async validateProof(id, attempt) {
+    return this.fetchWithError(`/puzzles/${id}/validate`, {
+      method: 'POST',
+      body: JSON.stringify(attempt)
+    });
+  }
+
+  // Reveal the next hint tier for a proof, and grade it with the hint counted
+  async getHint(id, attemptId, proof) {
+    return this.fetchWithError(`/puzzles/${id}/attempts/${attemptId}/hints`, {
+      method: 'POST',
+      body: JSON.stringify(proof)
+    });
+  }
+
+  // Reveal a puzzle's solution order, block depths, justifications and selections
+  async revealSolution(id, attemptId) {
+    return this.fetchWithError(`/puzzles/${id}/attempts/${attemptId}/solution`, {
+      method: 'POST'
+    });
+  }
+
   // Get puzzles by category
   async getPuzzlesByCategory(category, params = {}) {
     const queryParams = new URLSearchParams();
@@ -96,6 +128,39 @@ class PuzzleService {
     });
   }
 
+  // Get a student's progress on every puzzle
+  async getProgress(studentId) {
+    return this.fetchWithError(`/progress/${studentId}`);
+  }
+
+  // Record a student's finished attempts
+  async recordAttempts(studentId, attempts) {
+    return this.fetchWithError(`/progress/${studentId}/attempts`, {
+      method: 'POST',
+      body: JSON.stringify({ attempts })
+    });
+  }
+
+  // Get the saved workspace of a student's unfinished attempt
+  async getWorkspace(studentId, puzzleId) {
+    return this.fetchWithError(`/workspaces/${studentId}/${encodeURIComponent(puzzleId)}`);
+  }
+
+  // Save the workspace of a student's unfinished attempt
+  async saveWorkspace(studentId, puzzleId, workspace) {
+    return this.fetchWithError(`/workspaces/${studentId}/${encodeURIComponent(puzzleId)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ workspace })
+    });
+  }
+
+  // Discard the saved workspace of a puzzle
+  async deleteWorkspace(studentId, puzzleId) {
+    return this.fetchWithError(`/workspaces/${studentId}/${encodeURIComponent(puzzleId)}`, {
+      method: 'DELETE'
+    });
+  }
+
   // Health check
   async healthCheck() {
     const response = await fetch(`${this.baseURL.replace('/api', '')}/api/health`);
@@ -0,0 +1,108 @@
+import { normalizeWorkspace } from '../../shared/workspace.js';
+import progressService from './progressService.js';
+import puzzleService from './puzzleService.js';
+
+const WORKSPACES_KEY = 'parsons_workspaces';
+
+// Wait after the last change before sending a workspace to the server
+const SYNC_DELAY_MS = 1000;
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Saves the workspace of each unfinished attempt, so a student who leaves a
+ * puzzle can pick up where they were (see shared/workspace.js)
+ *
+ * Workspaces are always kept in localStorage. When the server is up they are
+ * sent to /api/workspaces as well, so they follow the student to another
+ * browser; whichever copy was saved last wins.
+ */
+class WorkspaceService {
+  constructor() {
+    this.syncQueue = Promise.resolve();
+    this.timers = new Map();
+  }
+
+  getLocalWorkspace(puzzleId) {
+    return readJson(WORKSPACES_KEY, {})[puzzleId] ?? null;
+  }
+
+  setLocalWorkspace(puzzleId, workspace) {
+    const { [puzzleId]: _previous, ...workspaces } = readJson(WORKSPACES_KEY, {});
+    localStorage.setItem(WORKSPACES_KEY, JSON.stringify(
+      workspace ? { ...workspaces, [puzzleId]: workspace } : workspaces
+    ));
+  }
+
+  // Server requests run one at a time, so a save never lands after a discard
+  enqueue(request) {
+    this.syncQueue = this.syncQueue.then(request).catch(error => {
+      console.warn('Workspace server unavailable, using local workspace:', error.message);
+      return null;
+    });
+    return this.syncQueue;
+  }
+
+  /**
+   * Gets the saved workspace of a puzzle, from the server when it is up
+   * @param {string} puzzleId - Puzzle to resume
+   * @returns {Promise<Object|null>} Saved workspace, or null if there is none
+   */
+  async load(puzzleId) {
+    const studentId = progressService.getStudentId();
+    const response = await this.enqueue(() => puzzleService.getWorkspace(studentId, puzzleId));
+    const local = this.getLocalWorkspace(puzzleId);
+    if (!response) return local;
+
+    const remote = response.workspace;
+    if (local && (!remote || new Date(local.savedAt) > new Date(remote.savedAt))) {
+      // Saved here while the server was down
+      this.enqueue(() => puzzleService.saveWorkspace(studentId, puzzleId, local));
+      return local;
+    }
+
+    this.setLocalWorkspace(puzzleId, remote);
+    return remote;
+  }
+
+  /**
+   * Saves the workspace of an attempt in progress
+   * @param {string} puzzleId - Puzzle attempted
+   * @param {Object} workspace - { palette, workspace, selections, indents, justifications }
+   */
+  save(puzzleId, workspace) {
+    const saved = normalizeWorkspace({ ...workspace, savedAt: new Date().toISOString() });
+    this.setLocalWorkspace(puzzleId, saved);
+
+    clearTimeout(this.timers.get(puzzleId));
+    this.timers.set(puzzleId, setTimeout(() => {
+      this.timers.delete(puzzleId);
+      this.enqueue(() => puzzleService.saveWorkspace(progressService.getStudentId(), puzzleId, saved));
+    }, SYNC_DELAY_MS));
+  }
+
+  /**
+   * Discards the saved workspace of a puzzle, when the attempt is finished
+   * or the student starts over
+   * @param {string} puzzleId - Puzzle attempted
+   */
+  discard(puzzleId) {
+    // Workspaces found on the server are copied here when loaded
+    if (!this.getLocalWorkspace(puzzleId)) return;
+
+    clearTimeout(this.timers.get(puzzleId));
+    this.timers.delete(puzzleId);
+    this.setLocalWorkspace(puzzleId, null);
+    this.enqueue(() => puzzleService.deleteWorkspace(progressService.getStudentId(), puzzleId));
+  }
+}
+
+// Create and export a singleton instance
+const workspaceService = new WorkspaceService();
+export default workspaceService;
@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ProofValidator from '../../shared/ProofValidator.js';
+import {
+  canSubmitExam,
+  createAttemptRecord,
+  getAttemptOutcome,
+  getElapsedSeconds,
+  getExamSubmissions,
+  gradeAttempt,
+  revealNextHint,
+  submitExam,
+  toStudentResult
+} from '../../shared/attempts.js';
+import { getCorrectAnswers, getPuzzle } from './fixtures.js';
+
+const puzzle = getPuzzle('induction1');
+const validator = new ProofValidator(puzzle);
+const answers = getCorrectAnswers(puzzle);
+const wrongOrder = [...puzzle.solutionOrder].reverse();
+
+describe('attempts: hints', () => {
+  it('reveals one tier at a time and counts each against the score', () => {
+    const record = createAttemptRecord();
+    const before = gradeAttempt(validator, wrongOrder, answers, record);
+
+    assert.equal(revealNextHint(record, before, validator.hintBudget), true);
+    const after = gradeAttempt(validator, wrongOrder, answers, record);
+
+    assert.equal(record.hintsUsed, 1);
+    assert.equal(toStudentResult(after, record).hint.tiers.length, 1);
+    assert.ok(after.score < before.score);
+  });
+
+  it('stops at the hint budget', () => {
+    const record = createAttemptRecord();
+    for (let i = 0; i < validator.hintBudget + 3; i++) {
+      revealNextHint(record, gradeAttempt(validator, wrongOrder, answers, record), validator.hintBudget);
+    }
+    assert.ok(record.hintsUsed <= validator.hintBudget);
+  });
+
+  it('leaves unrevealed hints and the compared order out of student results', () => {
+    const record = createAttemptRecord();
+    const result = toStudentResult(gradeAttempt(validator, wrongOrder, answers, record), record);
+
+    assert.equal(result.hints, undefined);
+    assert.equal(result.hintLadder, undefined);
+    assert.equal(result.details.targetOrder, undefined);
+    assert.equal(result.hint.tiers.length, 0);
+    result.details.incorrectlyPositioned.forEach(step => assert.equal(step.expectedBlockId, undefined));
+  });
+});
+
+describe('attempts: timed mode', () => {
+  it('times attempts from their record, not from the client', () => {
+    const record = { ...createAttemptRecord('timed'), createdAt: new Date(Date.now() - 90 * 1000) };
+    const result = gradeAttempt(validator, puzzle.solutionOrder, { ...answers, timeTakenSeconds: 1 }, record);
+
+    assert.ok(Math.abs(result.timeTakenSeconds - 90) <= 1);
+    assert.ok(result.timedScore < result.score);
+  });
+
+  it('caps the time at the time limit', () => {
+    const record = { ...createAttemptRecord('timed'), createdAt: new Date(0) };
+    assert.equal(getElapsedSeconds(record, { timeLimitSeconds: 120 }), 120);
+  });
+
+  it('leaves other modes untimed', () => {
+    const result = gradeAttempt(validator, puzzle.solutionOrder, { ...answers, timeTakenSeconds: 1 }, createAttemptRecord());
+    assert.equal(result.timedScore, undefined);
+  });
+});
+
+describe('attempts: exam mode', () => {
+  it('allows maxAttempts submissions, the last one final', () => {
+    const record = createAttemptRecord('exam');
+    const results = [];
+    while (canSubmitExam(record, validator.maxAttempts)) {
+      results.push(submitExam(validator, wrongOrder, answers, record));
+    }
+
+    assert.equal(results.length, validator.maxAttempts);
+    assert.deepEqual(results.map(result => result.isFinal), results.map((_, index) => index === results.length - 1));
+    results.forEach(result => {
+      assert.equal(result.hint, undefined);
+      assert.equal(result.details, undefined);
+    });
+  });
+
+  it('ends the exam at a correct submission', () => {
+    const record = createAttemptRecord('exam');
+    const result = submitExam(validator, puzzle.solutionOrder, answers, record);
+
+    assert.equal(result.isCorrect, true);
+    assert.equal(result.isFinal, true);
+    assert.equal(canSubmitExam(record, validator.maxAttempts), false);
+  });
+
+  it('keeps submissions in a record that survives storage', () => {
+    const record = createAttemptRecord('exam');
+    submitExam(validator, wrongOrder, answers, record);
+
+    const stored = JSON.parse(JSON.stringify(record));
+    assert.deepEqual(getExamSubmissions(stored, validator.maxAttempts), getExamSubmissions(record, validator.maxAttempts));
+    assert.equal(canSubmitExam(stored, validator.maxAttempts), true);
+  });
+});
+
+describe('attempts: outcome', () => {
+  it('records a revealed solution as unsolved', () => {
+    const record = { ...createAttemptRecord(), solutionRevealed: true };
+    const outcome = getAttemptOutcome(gradeAttempt(validator, puzzle.solutionOrder, answers, record));
+
+    assert.equal(outcome.isCorrect, false);
+    assert.equal(outcome.score, 0);
+  });
+
+  it('records a correct proof with its score and hints', () => {
+    const result = gradeAttempt(validator, puzzle.solutionOrder, answers, createAttemptRecord());
+    assert.deepEqual(getAttemptOutcome(result), { score: 100, isCorrect: true, hintsUsed: 0 });
+  });
+});
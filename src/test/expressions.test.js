@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_EXPRESSION_LENGTH,
+  areEquivalent,
+  isValidExpression,
+  normalizeExpression,
+  parseExpression
+} from '../../shared/expressions.js';
+
+describe('expressions: equivalence', () => {
+  it('reads LaTeX as ASCII', () => {
+    assert.equal(normalizeExpression('\\frac{k}{2} \\cdot 3'), '((k)/(2))*3');
+    assert.equal(areEquivalent('\\frac{(k+1)(k+2)}{2}', '(k+1)(k+2)/2'), true);
+  });
+
+  it('accepts rearranged forms of the same expression', () => {
+    assert.equal(areEquivalent('(x-1)(x+1)', 'x^2-1'), true);
+    assert.equal(areEquivalent('2^{k+1}', '2*2^k'), true);
+  });
+
+  it('rejects different expressions', () => {
+    assert.equal(areEquivalent('x^2+1', 'x^2-1'), false);
+    assert.equal(areEquivalent('k(k+1)/2', 'k(k-1)/2'), false);
+  });
+
+  it('samples fractional points, so terms that vanish at whole numbers count', () => {
+    assert.equal(areEquivalent('k + sin(pi*k)', 'k'), false);
+    assert.equal(areEquivalent('(-1)^{2k}', '1'), false);
+  });
+
+  it('samples whole numbers when there are factorials', () => {
+    assert.equal(areEquivalent('(n+1)!', '(n+1)*n!'), true);
+    assert.equal(areEquivalent('(n+1)!', 'n*n!'), false);
+  });
+
+  it('treats unparseable input as not equivalent', () => {
+    assert.equal(areEquivalent('k+', 'k'), false);
+    assert.equal(areEquivalent('', 'k'), false);
+  });
+});
+
+describe('expressions: parsing limits', () => {
+  it('refuses input longer than MAX_EXPRESSION_LENGTH', () => {
+    const atLimit = '1+'.repeat(MAX_EXPRESSION_LENGTH / 2 - 1) + '10';
+    assert.equal(atLimit.length, MAX_EXPRESSION_LENGTH);
+    assert.equal(isValidExpression(atLimit), true);
+
+    assert.throws(() => parseExpression(`${atLimit}+1`));
+    assert.equal(isValidExpression(`${atLimit}+1`), false);
+    assert.equal(areEquivalent(`${atLimit}+1`, `${atLimit}+1`), false);
+  });
+
+  it('rejects deeply nested input without overflowing the stack', () => {
+    const deep = `${'('.repeat(20000)}k${')'.repeat(20000)}`;
+    assert.equal(isValidExpression(deep), false);
+    assert.equal(areEquivalent(deep, 'k'), false);
+  });
+
+  it('parses input at the length limit quickly', () => {
+    const longest = `${'(k+'.repeat(33)}1${')'.repeat(33)}`.padEnd(MAX_EXPRESSION_LENGTH, '0');
+    const started = performance.now();
+    for (let i = 0; i < 200; i++) {
+      isValidExpression(longest);
+      areEquivalent(longest, longest.replace(/k/g, 'n'));
+    }
+    assert.ok(performance.now() - started < 2000, 'parsing took over 2 seconds');
+  });
+});
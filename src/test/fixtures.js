@@ -0,0 +1,22 @@
+// Puzzles for the behaviour tests, read from the bundled JSON files
+import { readFileSync } from 'node:fs';
+import { getRevealedSolution } from '../../shared/attempts.js';
+
+const readPuzzles = (file) => {
+  return JSON.parse(readFileSync(new URL(`../puzzles/data/${file}`, import.meta.url), 'utf8')).puzzles;
+};
+
+const ALL_PUZZLES = [
+  'induction-proofs.json',
+  'set-theory-proofs.json',
+  'recursion-proofs.json',
+  'big-o-proofs.json'
+].flatMap(readPuzzles);
+
+export const getPuzzle = (id) => ALL_PUZZLES.find(puzzle => puzzle.id === id);
+
+// Placeholder choices, indents and reasons that make a solution order correct
+export const getCorrectAnswers = (puzzle) => {
+  const { selections, depths, justifications } = getRevealedSolution(puzzle);
+  return { selections, indents: depths, justifications };
+};
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_HISTORY,
+  applyAttempt,
+  createProgressRecord,
+  normalizeAttempt,
+  summarizeProgress
+} from '../../shared/progress.js';
+
+const START = '2026-01-01T00:00:00.000Z';
+
+describe('progress: attempts', () => {
+  it('brings reported fields into range', () => {
+    const attempt = normalizeAttempt({
+      score: 250,
+      isCorrect: 'yes',
+      hintsUsed: -3,
+      timeSpentSeconds: 12.6,
+      mode: 'cheat',
+      submittedAt: 'not a date'
+    });
+
+    assert.equal(attempt.score, 100);
+    assert.equal(attempt.isCorrect, false);
+    assert.equal(attempt.hintsUsed, 0);
+    assert.equal(attempt.timeSpentSeconds, 13);
+    assert.equal(attempt.mode, 'practice');
+    assert.ok(!isNaN(new Date(attempt.submittedAt)));
+  });
+
+  it('adds attempts up', () => {
+    const record = [
+      { score: 40, isCorrect: false, hintsUsed: 1, timeSpentSeconds: 30, submittedAt: START },
+      { score: 100, isCorrect: true, hintsUsed: 2, timeSpentSeconds: 20, submittedAt: START },
+      { score: 70, isCorrect: false, hintsUsed: 0, timeSpentSeconds: 10, submittedAt: START }
+    ].reduce(applyAttempt, createProgressRecord('p1'));
+
+    assert.equal(record.attempts, 3);
+    assert.equal(record.bestScore, 100);
+    assert.equal(record.solved, true);
+    assert.equal(record.hintsUsed, 3);
+    assert.equal(record.timeSpentSeconds, 60);
+    assert.equal(record.lastAttemptAt, START);
+  });
+
+  it('keeps the most recent attempts in the history', () => {
+    let record = createProgressRecord('p1');
+    for (let i = 0; i < MAX_HISTORY + 5; i++) {
+      record = applyAttempt(record, { score: i, submittedAt: START });
+    }
+
+    assert.equal(record.history.length, MAX_HISTORY);
+    assert.equal(record.history[0].score, 5);
+    assert.equal(record.attempts, MAX_HISTORY + 5);
+  });
+
+  it('schedules a review once the puzzle is solved', () => {
+    const failed = applyAttempt(createProgressRecord('p1'), { score: 50, isCorrect: false, submittedAt: START });
+    assert.equal(failed.review, null);
+
+    const solved = applyAttempt(failed, { score: 100, isCorrect: true, submittedAt: START });
+    assert.equal(solved.review.intervalDays, 1);
+  });
+});
+
+describe('progress: summary', () => {
+  it('sums up the given puzzles only', () => {
+    const progress = {
+      p1: applyAttempt(createProgressRecord('p1'), { score: 100, isCorrect: true, submittedAt: START }),
+      p2: applyAttempt(createProgressRecord('p2'), { score: 50, isCorrect: false, submittedAt: START }),
+      other: applyAttempt(createProgressRecord('other'), { score: 100, isCorrect: true, submittedAt: START })
+    };
+
+    const summary = summarizeProgress(progress, ['p1', 'p2', 'p3']);
+    assert.equal(summary.total, 3);
+    assert.equal(summary.solved, 1);
+    assert.equal(summary.attempted, 2);
+    assert.equal(summary.attempts, 2);
+  });
+});
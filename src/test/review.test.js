@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INITIAL_EASINESS,
+  MIN_EASINESS,
+  applyReview,
+  getDueReviews,
+  getReviewQuality,
+  scheduleReview
+} from '../../shared/review.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = '2026-01-01T00:00:00.000Z';
+const daysAfter = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString();
+
+describe('review: quality', () => {
+  it('grades correct attempts 3 to 5 by score, less for hints', () => {
+    assert.equal(getReviewQuality({ score: 100, isCorrect: true }), 5);
+    assert.equal(getReviewQuality({ score: 85, isCorrect: true }), 4);
+    assert.equal(getReviewQuality({ score: 100, isCorrect: true, hintsUsed: 1 }), 4);
+    assert.equal(getReviewQuality({ score: 100, isCorrect: true, hintsUsed: 5 }), 3);
+  });
+
+  it('grades failed attempts below passing', () => {
+    assert.equal(getReviewQuality({ score: 60, isCorrect: false }), 2);
+    assert.equal(getReviewQuality({ score: 10, isCorrect: false }), 1);
+    assert.equal(getReviewQuality({ score: 0, isCorrect: false }), 0);
+  });
+});
+
+describe('review: schedule', () => {
+  it('comes back after 1 day, then 6, then the interval times the easiness', () => {
+    const first = scheduleReview(null, 5, START);
+    const second = scheduleReview(first, 5, first.dueAt);
+    const third = scheduleReview(second, 5, second.dueAt);
+
+    assert.deepEqual([first.intervalDays, second.intervalDays], [1, 6]);
+    assert.equal(third.intervalDays, Math.round(6 * second.easiness));
+    assert.equal(first.dueAt, daysAfter(START, 1));
+    assert.ok(second.easiness > INITIAL_EASINESS);
+  });
+
+  it('starts the intervals over after a failed review', () => {
+    const passed = scheduleReview(scheduleReview(null, 5, START), 5, daysAfter(START, 1));
+    const failed = scheduleReview(passed, 1, passed.dueAt);
+
+    assert.equal(failed.repetitions, 0);
+    assert.equal(failed.intervalDays, 1);
+    assert.ok(failed.easiness < passed.easiness);
+  });
+
+  it('keeps the easiness above its minimum', () => {
+    let review = null;
+    for (let i = 0; i < 20; i++) {
+      review = scheduleReview(review, 0, START);
+    }
+    assert.equal(review.easiness, MIN_EASINESS);
+  });
+});
+
+describe('review: attempts', () => {
+  const attempt = (submittedAt, isCorrect, score = isCorrect ? 100 : 0) => ({ submittedAt, isCorrect, score, hintsUsed: 0 });
+
+  it('adds a puzzle to the queue when it is first solved', () => {
+    assert.equal(applyReview(null, attempt(START, false)), null);
+    assert.equal(applyReview(null, attempt(START, true)).intervalDays, 1);
+  });
+
+  it('ignores attempts made before the review is due', () => {
+    const review = applyReview(null, attempt(START, true));
+    assert.equal(applyReview(review, attempt(daysAfter(START, 0.5), false)), review);
+  });
+
+  it('reschedules with attempts made once the review is due', () => {
+    const review = applyReview(null, attempt(START, true));
+    assert.equal(applyReview(review, attempt(review.dueAt, true)).intervalDays, 6);
+    assert.equal(applyReview(review, attempt(review.dueAt, false)).repetitions, 0);
+  });
+
+  it('lists due reviews, most overdue first', () => {
+    const progress = {
+      later: { puzzleId: 'later', review: { dueAt: daysAfter(START, 2), intervalDays: 6 } },
+      earlier: { puzzleId: 'earlier', review: { dueAt: daysAfter(START, 1), intervalDays: 1 } },
+      upcoming: { puzzleId: 'upcoming', review: { dueAt: daysAfter(START, 9), intervalDays: 15 } },
+      unsolved: { puzzleId: 'unsolved', review: null }
+    };
+
+    const due = getDueReviews(progress, new Date(daysAfter(START, 3)));
+    assert.deepEqual(due.map(review => review.puzzleId), ['earlier', 'later']);
+  });
+});
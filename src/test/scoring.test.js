@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ProofValidator from '../../shared/ProofValidator.js';
+import { DEFAULT_SCORING_STRATEGY, getScoringStrategy } from '../../shared/scoringStrategies.js';
+
+const TARGET = ['a', 'b', 'c', 'd'];
+// Every step one place late, after a step from the end
+const SHIFTED = ['d', 'a', 'b', 'c'];
+
+describe('scoring strategies', () => {
+  it('gives full credit for the target order', () => {
+    ['positional', 'lcs', 'kendall-tau'].forEach(id => {
+      assert.equal(getScoringStrategy(id).orderCredit(TARGET, TARGET), 1, id);
+    });
+  });
+
+  it('credits exact positions only in the positional strategy', () => {
+    assert.equal(getScoringStrategy('positional').orderCredit(SHIFTED, TARGET), 0);
+  });
+
+  it('credits the longest run in order in the lcs strategy', () => {
+    assert.equal(getScoringStrategy('lcs').orderCredit(SHIFTED, TARGET), 3 / 4);
+  });
+
+  it('credits pairs in order, scaled by coverage, in the kendall-tau strategy', () => {
+    // 3 of the 6 pairs are inverted
+    assert.equal(getScoringStrategy('kendall-tau').orderCredit(SHIFTED, TARGET), 1 / 2);
+    assert.equal(getScoringStrategy('kendall-tau').orderCredit(['a'], TARGET), 1 / 4);
+  });
+
+  it('falls back to the default strategy', () => {
+    assert.equal(getScoringStrategy('unknown').id, DEFAULT_SCORING_STRATEGY);
+    assert.equal(getScoringStrategy().id, DEFAULT_SCORING_STRATEGY);
+  });
+});
+
+describe('ProofValidator: scoring', () => {
+  const puzzle = (scoringStrategy) => ({
+    id: `scoring-${scoringStrategy}`,
+    blocks: TARGET.map(id => ({ id, latex: id })),
+    solutionOrder: TARGET,
+    scoringStrategy
+  });
+
+  it('scores a correct proof 100 with every strategy', () => {
+    ['positional', 'lcs', 'kendall-tau'].forEach(id => {
+      assert.equal(new ProofValidator(puzzle(id)).validateProof(TARGET).score, 100, id);
+    });
+  });
+
+  it('scores a shifted proof by the puzzle\'s strategy', () => {
+    const positional = new ProofValidator(puzzle('positional')).validateProof(SHIFTED).score;
+    const lcs = new ProofValidator(puzzle('lcs')).validateProof(SHIFTED).score;
+
+    assert.ok(positional < lcs, `${positional} should be below ${lcs}`);
+    assert.ok(lcs < 100);
+  });
+
+  it('takes off points for each hint used', () => {
+    const validator = new ProofValidator(puzzle('positional'));
+    const unaided = validator.validateProof(TARGET).score;
+    const withHints = validator.validateProof(TARGET, { hintsUsed: 2 }).score;
+
+    assert.equal(withHints, unaided - 2 * validator.hintCost);
+  });
+
+  it('scores 0 once the solution was revealed', () => {
+    assert.equal(new ProofValidator(puzzle('positional')).validateProof(TARGET, { solutionRevealed: true }).score, 0);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ProofValidator from '../../shared/ProofValidator.js';
+import { getCorrectAnswers, getPuzzle } from './fixtures.js';
+
+const block = (id, extra = {}) => ({ id, latex: `\\text{${id}}`, ...extra });
+
+describe('ProofValidator: step dependencies', () => {
+  // a is needed by b and c, which are independent; d needs both
+  const puzzle = {
+    id: 'dag',
+    blocks: [
+      block('a'),
+      block('b', { dependsOn: ['a'] }),
+      block('c', { dependsOn: ['a'] }),
+      block('d', { dependsOn: ['b', 'c'] })
+    ],
+    solutionOrder: ['a', 'b', 'c', 'd']
+  };
+  const validator = new ProofValidator(puzzle);
+
+  it('accepts every topological order', () => {
+    assert.equal(validator.validateProof(['a', 'b', 'c', 'd']).isCorrect, true);
+    assert.equal(validator.validateProof(['a', 'c', 'b', 'd']).isCorrect, true);
+  });
+
+  it('rejects a step placed before a step it depends on', () => {
+    assert.equal(validator.validateProof(['b', 'a', 'c', 'd']).isCorrect, false);
+    assert.equal(validator.validateProof(['a', 'b', 'd', 'c']).isCorrect, false);
+  });
+
+  it('makes each step depend on the one before it by default', () => {
+    const chain = new ProofValidator({ ...puzzle, blocks: puzzle.blocks.map(({ id }) => block(id)) });
+    assert.equal(chain.validateProof(['a', 'c', 'b', 'd']).isCorrect, false);
+  });
+});
+
+describe('ProofValidator: interchangeable groups', () => {
+  const puzzle = {
+    id: 'groups',
+    blocks: ['a', 'b', 'c', 'd'].map(id => block(id)),
+    solutionOrder: ['a', 'b', 'c', 'd'],
+    interchangeableGroups: [['b', 'c']]
+  };
+  const validator = new ProofValidator(puzzle);
+
+  it('accepts the group in any order', () => {
+    assert.equal(validator.validateProof(['a', 'c', 'b', 'd']).isCorrect, true);
+  });
+
+  it('keeps the group between the steps around it', () => {
+    assert.equal(validator.validateProof(['a', 'b', 'd', 'c']).isCorrect, false);
+    assert.equal(validator.validateProof(['c', 'a', 'b', 'd']).isCorrect, false);
+  });
+
+  it('accepts a swapped group in a bundled puzzle', () => {
+    const set1 = getPuzzle('set1');
+    const [group] = set1.interchangeableGroups;
+    const order = set1.solutionOrder.map(id => {
+      const index = group.indexOf(id);
+      return index === -1 ? id : group[group.length - 1 - index];
+    });
+
+    const result = new ProofValidator(set1).validateProof(order, getCorrectAnswers(set1));
+    assert.equal(result.isCorrect, true);
+    assert.equal(result.score, 100);
+  });
+});
+
+describe('ProofValidator: paired distractors', () => {
+  const proof3 = getPuzzle('proof3');
+  const validator = new ProofValidator(proof3);
+  const answers = getCorrectAnswers(proof3);
+  const [step, twin] = proof3.pairedDistractors[0];
+
+  it('accepts the right twin', () => {
+    assert.equal(validator.validateProof(proof3.solutionOrder, answers).isCorrect, true);
+  });
+
+  it('scores a wrong twin in its partner\'s slot without moving later steps', () => {
+    const order = proof3.solutionOrder.map(id => id === step ? twin : id);
+    const result = validator.validateProof(order, answers);
+
+    assert.equal(result.isCorrect, false);
+    assert.deepEqual(result.details.wrongTwins.map(wrong => [wrong.blockId, wrong.twinId]), [[twin, step]]);
+    assert.equal(result.details.incorrectlyPositioned.length, 0);
+    assert.ok(result.score > 0 && result.score < 100);
+  });
+});
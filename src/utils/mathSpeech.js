@@ -0,0 +1,108 @@
+import katex from 'katex';
+import { substitutePlaceholders } from '../../shared/placeholders.js';
+
+// Words for symbols screen readers often skip or misread
+const SPOKEN_SYMBOLS = {
+  '+': 'plus',
+  '−': 'minus',
+  '-': 'minus',
+  '=': 'equals',
+  '≠': 'is not equal to',
+  '<': 'is less than',
+  '>': 'is greater than',
+  '≤': 'is less than or equal to',
+  '≥': 'is greater than or equal to',
+  '⋅': 'times',
+  '×': 'times',
+  '∗': 'times',
+  '/': 'divided by',
+  '∑': 'the sum',
+  '∏': 'the product',
+  '∈': 'is in',
+  '∉': 'is not in',
+  '⊆': 'is a subset of',
+  '⊂': 'is a proper subset of',
+  '∪': 'union',
+  '∩': 'intersect',
+  '∅': 'the empty set',
+  '∀': 'for all',
+  '∃': 'there exists',
+  '¬': 'not',
+  '∧': 'and',
+  '∨': 'or',
+  '⇒': 'implies',
+  '→': 'goes to',
+  '⟹': 'implies',
+  '⇔': 'if and only if',
+  '⟺': 'if and only if',
+  '∞': 'infinity',
+  '□': 'blank',
+  '|': 'bar',
+  '∣': 'divides',
+  '⁡': ''
+};
+
+// Reads a KaTeX MathML tree out in words, e.g. msup as "x to the power 2"
+const speakNode = (node) => {
+  const parts = Array.from(node.children).map(speakNode);
+  const [first, second, third] = parts;
+
+  switch (node.localName) {
+    case 'annotation':
+      return '';
+    case 'mn':
+    case 'mtext':
+      return node.textContent;
+    case 'mi':
+    case 'mo': {
+      const symbol = node.textContent.trim();
+      return SPOKEN_SYMBOLS[symbol] ?? symbol;
+    }
+    case 'mfrac':
+      return `${first} over ${second},`;
+    case 'msup':
+      return `${first} to the power ${second},`;
+    case 'msub':
+      return first.trim() === 'lim' ? `the limit as ${second},` : `${first} sub ${second}`;
+    case 'msubsup':
+    case 'munderover':
+      // Limits of a sum or product, otherwise an index and a power
+      return node.firstElementChild?.localName === 'mo'
+        ? `${first} from ${second} to ${third},`
+        : `${first} sub ${second} to the power ${third},`;
+    case 'munder':
+      return `${first} as ${second},`;
+    case 'msqrt':
+      return `the square root of ${parts.join(' ')},`;
+    case 'mroot':
+      return `the root ${second} of ${first},`;
+    default:
+      return parts.join(' ');
+  }
+};
+
+/**
+ * Turns a block's LaTeX into text a screen reader can speak, going through
+ * the MathML KaTeX renders
+ * @param {string} latex - LaTeX content, possibly with placeholders
+ * @param {Object} selections - Map of placeholder key -> selected value
+ * @returns {string} Speech text, e.g. "n to the power 2, is less than or equal to c n"
+ */
+export const latexToSpeech = (latex = '', selections = {}) => {
+  try {
+    const mathml = katex.renderToString(substitutePlaceholders(latex, selections), {
+      output: 'mathml',
+      throwOnError: false
+    });
+    const math = new DOMParser().parseFromString(mathml, 'text/html').querySelector('math');
+
+    return speakNode(math)
+      .replace(/\s+,/g, ',')
+      .replace(/,+/g, ',')
+      .replace(/\s+/g, ' ')
+      .replace(/,\s*$/, '')
+      .trim();
+  } catch {
+    return latex;
+  }
+};
@@ -0,0 +1,86 @@
+import { substitutePlaceholders } from '../../shared/placeholders.js';
+import { getStepNumbers } from '../../shared/nesting.js';
+
+// Indentation per nesting level in the exported document
+const INDENT_EM = 1.5;
+
+// Characters with a special meaning in LaTeX text, e.g. in justifications
+const TEXT_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '$': '\\$',
+  '&': '\\&',
+  '#': '\\#',
+  '%': '\\%',
+  '_': '\\_',
+  '^': '\\textasciicircum{}',
+  '~': '\\textasciitilde{}'
+};
+
+const escapeLatexText = (text = '') => String(text).replace(/[\\{}$&#%_^~]/g, char => TEXT_ESCAPES[char]);
+
+/**
+ * Writes a student's proof as a standalone LaTeX document
+ *
+ * Placeholders are replaced by the values the student chose, as
+ * KatexRenderer shows them. Steps keep their numbering and indentation, and
+ * two-column proofs list each step's justification on the right.
+ * @param {Object} proof - { puzzle, proofBlocks, selections, indents, justifications }
+ * @returns {string} Contents of a .tex file
+ */
+export const buildProofDocument = ({ puzzle, proofBlocks = [], selections = {}, indents = {}, justifications = {} }) => {
+  const stepNumbers = getStepNumbers(proofBlocks.map(block => indents[block.id] || 0));
+
+  const steps = proofBlocks.map((block, index) => {
+    const depth = indents[block.id] || 0;
+    const indent = depth > 0 ? `\\hspace*{${depth * INDENT_EM}em}` : '';
+    const latex = substitutePlaceholders(block.latex, selections[block.id] || {});
+    const reason = justifications[block.id]
+      ? `\\hfill\\textit{${escapeLatexText(justifications[block.id])}}`
+      : '';
+    return `\\noindent${indent}\\textbf{${stepNumbers[index]}.}\\quad $${latex}$${reason}\\par\\medskip`;
+  });
+
+  return [
+    `% ${puzzle.id}: exported from Parsons Puzzles for Math Proofs`,
+    '\\documentclass[11pt]{article}',
+    '\\usepackage{amsmath}',
+    '\\usepackage{amssymb}',
+    '',
+    `\\title{\\(${puzzle.title}\\)}`,
+    '\\date{\\today}',
+    '',
+    '\\begin{document}',
+    '\\maketitle',
+    '',
+    '\\section*{Statement}',
+    `\\[ ${puzzle.statement} \\]`,
+    '',
+    '\\section*{Proof}',
+    ...steps,
+    '',
+    '\\end{document}',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Downloads a student's proof as a .tex file named after the puzzle
+ * @param {Object} proof - As for buildProofDocument
+ */
+export const downloadProofDocument = (proof) => {
+  const blob = new Blob([buildProofDocument(proof)], { type: 'application/x-tex' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${proof.puzzle.id}.tex`;
+  link.style.display = 'none';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+};
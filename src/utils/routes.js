@@ -0,0 +1,10 @@
+// URLs of pages that can be linked to, e.g. a puzzle from lecture slides
+
+/**
+ * Gets the URL of a puzzle in the student view
+ * @param {Object} puzzle - Puzzle with id and category
+ * @returns {string} Path, e.g. /student/induction/ind1
+ */
+export const getPuzzlePath = (puzzle) => {
+  return `/student/${encodeURIComponent(puzzle.category)}/${encodeURIComponent(puzzle.id)}`;
+};